@@ -0,0 +1,147 @@
+// --- Categorías y Análisis de Gastos ---
+// Módulo puro (sin React ni Firebase): define las categorías de gasto, desglosa el gasto de un
+// viaje por categoría, por viajero y por día, siempre por moneda (sin convertir entre monedas),
+// y resume cada viaje para las tarjetas del selector.
+//
+// Cada gasto guarda el id de su categoría en `category`. Las categorías por defecto son fijas;
+// cada viaje puede añadir las suyas en `customCategories: [{ id, label }]`. Los gastos sin
+// categoría, o con una personalizada que ya se borró, cuentan como "Otros".
+
+import {
+  computeExpensePaidMinor, computeExpenseSharesMinor, computeTripBalances, fromMinorUnits, toMinorUnits,
+} from './balances.js';
+
+export const OTHER_CATEGORY_ID = 'other';
+
+export const DEFAULT_CATEGORIES = [
+  { id: 'lodging', label: 'Alojamiento' },
+  { id: 'food', label: 'Comida' },
+  { id: 'transport', label: 'Transporte' },
+  { id: 'activities', label: 'Actividades' },
+  { id: OTHER_CATEGORY_ID, label: 'Otros' },
+];
+
+/**
+ * Categorías disponibles en un viaje: las por defecto seguidas de las personalizadas.
+ * @param {object} [trip]
+ * @returns {{ id: string, label: string, isCustom: boolean }[]}
+ */
+export const getTripCategories = (trip) => [
+  ...DEFAULT_CATEGORIES.map(c => ({ ...c, isCustom: false })),
+  ...(trip?.customCategories || []).map(c => ({ id: c.id, label: c.label, isCustom: true })),
+];
+
+/**
+ * Id de la categoría con la que se agrupa un gasto.
+ * @param {object} expense
+ * @param {{ id: string }[]} categories Categorías del viaje.
+ * @returns {string}
+ */
+export const getExpenseCategoryId = (expense, categories) => (
+  categories.some(c => c.id === expense.category) ? expense.category : OTHER_CATEGORY_ID
+);
+
+/**
+ * Desglose del gasto de un viaje (solo gastos, sin liquidaciones) para cada moneda usada.
+ *
+ * Por viajero se da lo que pagó y su parte (lo que consumió). Como en los balances, lo atribuido
+ * a viajeros que ya no están en el viaje no aparece en `byTraveler`, pero sí en los totales.
+ *
+ * @param {object} params
+ * @param {{ id: string, name: string }[]} params.travelers
+ * @param {object[]} params.transactions
+ * @param {{ id: string, label: string }[]} params.categories Categorías del viaje.
+ * @param {string[]} [params.currencies] Orden preferido de las monedas.
+ * @returns {{
+ *   currency: string,
+ *   total: number,
+ *   byCategory: { id: string, label: string, amount: number, count: number }[],
+ *   byTraveler: { id: string, name: string, paid: number, share: number }[],
+ *   byDay: { date: string, amount: number }[],
+ * }[]} Solo monedas con gastos. Categorías de mayor a menor gasto (sin las vacías); días en orden
+ *   cronológico. Montos en decimales de cada moneda.
+ */
+export const computeSpendingBreakdown = ({ travelers, transactions, categories, currencies = [] }) => {
+  const expenses = transactions.filter(t => (t.type || 'expense') === 'expense');
+  const currencyCodes = [...currencies, ...expenses.map(t => t.currency)]
+    .filter((code, index, list) => code && list.indexOf(code) === index);
+
+  return currencyCodes.map(currency => {
+    const inCurrency = expenses.filter(t => t.currency === currency);
+    if (inCurrency.length === 0) return null;
+
+    let totalMinor = 0;
+    const categoryTotals = new Map(categories.map(c => [c.id, { amount: 0, count: 0 }]));
+    const travelerTotals = new Map(travelers.map(t => [t.id, { paid: 0, share: 0 }]));
+    const dayTotals = new Map();
+
+    for (const expense of inCurrency) {
+      const amountMinor = toMinorUnits(expense.amount, currency);
+      totalMinor += amountMinor;
+
+      const categoryTotal = categoryTotals.get(getExpenseCategoryId(expense, categories));
+      if (categoryTotal) {
+        categoryTotal.amount += amountMinor;
+        categoryTotal.count += 1;
+      }
+
+      computeExpensePaidMinor(expense, amountMinor).forEach((paid, id) => {
+        if (travelerTotals.has(id)) travelerTotals.get(id).paid += paid;
+      });
+      computeExpenseSharesMinor(expense, amountMinor).forEach((share, id) => {
+        if (travelerTotals.has(id)) travelerTotals.get(id).share += share;
+      });
+
+      dayTotals.set(expense.date, (dayTotals.get(expense.date) || 0) + amountMinor);
+    }
+
+    return {
+      currency,
+      total: fromMinorUnits(totalMinor, currency),
+      byCategory: categories
+        .map(c => ({ id: c.id, label: c.label, ...categoryTotals.get(c.id) }))
+        .filter(c => c.count > 0)
+        .sort((a, b) => b.amount - a.amount)
+        .map(c => ({ ...c, amount: fromMinorUnits(c.amount, currency) })),
+      byTraveler: travelers.map(t => ({
+        id: t.id,
+        name: t.name,
+        paid: fromMinorUnits(travelerTotals.get(t.id).paid, currency),
+        share: fromMinorUnits(travelerTotals.get(t.id).share, currency),
+      })),
+      byDay: Array.from(dayTotals.entries())
+        .sort(([a], [b]) => String(a).localeCompare(String(b)))
+        .map(([date, amount]) => ({ date, amount: fromMinorUnits(amount, currency) })),
+    };
+  }).filter(Boolean);
+};
+
+/**
+ * Resumen de un viaje para verlo de un vistazo.
+ * @param {object} params
+ * @param {{ id: string, name: string }[]} params.travelers
+ * @param {object[]} params.transactions
+ * @returns {{
+ *   travelerCount: number,
+ *   transactionCount: number,
+ *   totalsByCurrency: { currency: string, amount: number }[],
+ *   firstDate: string|null,
+ *   lastDate: string|null,
+ *   isSettled: boolean,
+ * }} `totalsByCurrency` solo incluye gastos, en el orden en que aparecen. `isSettled` es true si no
+ *   queda ninguna transferencia pendiente en ninguna moneda.
+ */
+export const computeTripStats = ({ travelers, transactions }) => {
+  const { currencies, settlements, totalExpensesByCurrency } = computeTripBalances({ travelers, transactions });
+  const dates = transactions.map(t => t.date).filter(Boolean).sort();
+  return {
+    travelerCount: travelers.length,
+    transactionCount: transactions.length,
+    totalsByCurrency: currencies
+      .filter(code => totalExpensesByCurrency[code] > 0)
+      .map(code => ({ currency: code, amount: totalExpensesByCurrency[code] })),
+    firstDate: dates[0] || null,
+    lastDate: dates[dates.length - 1] || null,
+    isSettled: currencies.every(code => settlements[code].transactions.length === 0),
+  };
+};
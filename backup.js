@@ -0,0 +1,115 @@
+// --- Copias de Seguridad ---
+// Módulo puro (sin React ni Firebase): convierte un viaje completo (datos del viaje, viajeros,
+// transacciones y gastos recurrentes, con sus ids) en un documento JSON versionado y lo vuelve
+// a leer, aceptando también copias de versiones anteriores.
+//
+// Formato (versión 2):
+//   { format: 'splitwise-trip-backup', version: 2, exportedAt,
+//     trip: { name, destination, startDate, endDate, coverEmoji, coverColor, budget,
+//             currencies, baseCurrency, exchangeRates, customCategories },
+//     travelers: [{ id, name }], transactions: [{ id, type, ... }],
+//     recurring: [{ id, frequency, startDate, ... }] }
+// Las plantillas de gastos recurrentes conservan su id y `materializedThrough`, para que las
+// ocurrencias restauradas (con `recurringId`) sigan perteneciendo a su serie.
+// Los campos de uso compartido del viaje (miembros, invitación...) no se guardan: pertenecen
+// al viaje donde se restaura, no a la copia.
+
+export const BACKUP_FORMAT = 'splitwise-trip-backup';
+export const BACKUP_VERSION = 2;
+
+// Campos del viaje que se incluyen en la copia
+const TRIP_FIELDS = [
+  'name', 'destination', 'startDate', 'endDate', 'coverEmoji', 'coverColor', 'budget',
+  'currencies', 'baseCurrency', 'exchangeRates', 'customCategories',
+];
+
+/**
+ * Genera la copia de seguridad de un viaje.
+ * @param {object} params
+ * @param {object} params.trip
+ * @param {{ id: string, name: string }[]} params.travelers
+ * @param {object[]} params.transactions Con su `id`.
+ * @param {object[]} [params.recurring] Plantillas de gastos recurrentes, con su `id`.
+ * @returns {object} Documento listo para `JSON.stringify`.
+ */
+export const createTripBackup = ({ trip, travelers, transactions, recurring = [] }) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  exportedAt: new Date().toISOString(),
+  trip: Object.fromEntries(TRIP_FIELDS.filter(field => trip[field] !== undefined).map(field => [field, trip[field]])),
+  travelers: travelers.map(({ id, name }) => ({ id, name })),
+  transactions: transactions.map(transaction => ({ ...transaction })),
+  recurring: recurring.map(template => ({ ...template })),
+});
+
+// Actualizaciones de formato: cada entrada convierte una copia de la versión indicada a la
+// siguiente. Las copias sin `version` son la versión 0 (mismo esquema que la 1, pero con los
+// datos tal como se guardaban al principio). La versión 2 añade los gastos recurrentes.
+const BACKUP_MIGRATIONS = {
+  0: (backup) => ({ ...backup, version: 1 }),
+  1: (backup) => ({ ...backup, version: 2, recurring: [] }),
+};
+
+// Normaliza los datos antiguos que la app todavía entiende pero ya no escribe así
+const normalizeTransaction = (transaction) => ({
+  ...transaction,
+  // Las transacciones sin `type` son gastos (anteriores a las liquidaciones)
+  type: transaction.type || 'expense',
+  amount: Number(transaction.amount),
+});
+
+/**
+ * Lee y valida una copia de seguridad, actualizándola a la versión actual si es anterior.
+ * @param {string} text Contenido del archivo JSON.
+ * @returns {{ trip: object, travelers: { id: string, name: string }[], transactions: object[], recurring: object[] }}
+ * @throws {Error} Con un mensaje para el usuario si el archivo no es una copia válida.
+ */
+export const parseTripBackup = (text) => {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (e) {
+    throw new Error('El archivo no es un JSON válido.');
+  }
+  if (!backup || typeof backup !== 'object' || (backup.format !== undefined && backup.format !== BACKUP_FORMAT)) {
+    throw new Error('El archivo no es una copia de seguridad de un viaje.');
+  }
+
+  let version = backup.version ?? 0;
+  if (!Number.isInteger(version) || version < 0) {
+    throw new Error('La versión de la copia no es válida.');
+  }
+  if (version > BACKUP_VERSION) {
+    throw new Error(`La copia se creó con una versión más reciente de la app (formato ${version}). Actualiza la app para restaurarla.`);
+  }
+  while (version < BACKUP_VERSION) {
+    backup = BACKUP_MIGRATIONS[version](backup);
+    version = backup.version;
+  }
+
+  const { trip, travelers, transactions, recurring } = backup;
+  if (!trip || typeof trip.name !== 'string' || !trip.name.trim()) {
+    throw new Error('La copia no incluye el nombre del viaje.');
+  }
+  if (!Array.isArray(travelers) || travelers.some(t => !t || typeof t.id !== 'string' || typeof t.name !== 'string')) {
+    throw new Error('La lista de viajeros de la copia no es válida.');
+  }
+  if (!Array.isArray(transactions) || transactions.some(t => !t || typeof t.id !== 'string' || typeof t.currency !== 'string' || isNaN(Number(t.amount)))) {
+    throw new Error('La lista de transacciones de la copia no es válida.');
+  }
+  if (!Array.isArray(recurring) || recurring.some(t => !t || typeof t.id !== 'string' || typeof t.startDate !== 'string' || isNaN(Number(t.amount)))) {
+    throw new Error('La lista de gastos recurrentes de la copia no es válida.');
+  }
+  const travelerIds = new Set(travelers.map(t => t.id));
+  if (travelerIds.size !== travelers.length || new Set(transactions.map(t => t.id)).size !== transactions.length
+      || new Set(recurring.map(t => t.id)).size !== recurring.length) {
+    throw new Error('La copia tiene ids repetidos.');
+  }
+
+  return {
+    trip: Object.fromEntries(TRIP_FIELDS.filter(field => trip[field] !== undefined).map(field => [field, trip[field]])),
+    travelers: travelers.map(({ id, name }) => ({ id, name })),
+    transactions: transactions.map(normalizeTransaction),
+    recurring: recurring.map(template => ({ ...template, amount: Number(template.amount) })),
+  };
+};
@@ -0,0 +1,494 @@
+// --- Motor de Balances y Liquidaciones ---
+// Módulo puro (sin React ni Firebase): recibe viajeros y transacciones tal como se guardan en
+// Firestore y devuelve quién pagó qué, la parte de cada uno, los balances netos y las
+// transferencias recomendadas para saldar cuentas.
+//
+// Formatos de entrada:
+//   viajero:      { id, name }
+//   gasto:        { type: 'expense', amount, currency, paidBy, payers?: [{ id, amount }],
+//                   splitWith: [id], splitMode?: 'equal'|'exact'|'percentage'|'shares'|'itemized',
+//                   splitValues?: { id -> número }, chargedCurrency?, exchangeRate?,
+//                   items?: [{ description, amount, travelerIds: [id] }], tax?, tip? }
+// En el modo 'itemized' (ticket por líneas) cada línea se reparte a partes iguales entre sus
+// viajeros y el resto del monto (impuestos y propina) en proporción a lo consumido.
+//   liquidación:  { type: 'settlement', amount, currency, payerId, receiverId }
+// Las transacciones sin `type` (datos viejos) se tratan como gastos.
+//
+// Todos los cálculos se hacen en enteros de unidades menores (centavos, o unidades enteras en
+// monedas sin decimales como VND o JPY). Los montos devueltos ya están en decimales de nuevo.
+
+const currencyDigitsCache = new Map();
+
+/**
+ * Número de decimales (unidades menores) de una moneda: 2 para USD, 0 para VND o JPY...
+ * @param {string} code Código ISO 4217.
+ * @returns {number}
+ */
+export const getCurrencyDigits = (code) => {
+  if (!currencyDigitsCache.has(code)) {
+    let digits = 2;
+    try {
+      digits = new Intl.NumberFormat('en', { style: 'currency', currency: code }).resolvedOptions().maximumFractionDigits;
+    } catch (e) {
+      console.error(`Moneda no soportada: ${code}`, e);
+    }
+    currencyDigitsCache.set(code, digits);
+  }
+  return currencyDigitsCache.get(code);
+};
+
+/** Convierte un monto decimal a un entero de unidades menores (12.5 USD -> 1250). */
+export const toMinorUnits = (amount, code) => Math.round((Number(amount) || 0) * 10 ** getCurrencyDigits(code));
+
+/** Convierte un entero de unidades menores a un monto decimal (1250 -> 12.5 USD). */
+export const fromMinorUnits = (minor, code) => minor / 10 ** getCurrencyDigits(code);
+
+/**
+ * Reparte `totalMinor` (entero) en proporción a los pesos.
+ * Regla del residuo: cada uno recibe la parte entera hacia abajo y las unidades sobrantes se
+ * asignan una a una a quienes tengan mayor fracción descartada; en caso de empate, al que
+ * aparece primero en la lista.
+ * @param {number} totalMinor
+ * @param {{ id: string, weight: number }[]} weights
+ * @returns {Map<string, number>} Enteros que suman exactamente `totalMinor` (vacío si no hay pesos).
+ */
+export const allocateMinorUnits = (totalMinor, weights) => {
+  const allocation = new Map();
+  const totalWeight = weights.reduce((sum, w) => sum + w.weight, 0);
+  if (weights.length === 0 || totalWeight <= 0) return allocation;
+
+  const parts = weights.map((w, index) => {
+    const exact = totalMinor * w.weight / totalWeight;
+    const floor = Math.floor(exact);
+    return { id: w.id, index, floor, remainder: exact - floor };
+  });
+
+  let leftover = totalMinor - parts.reduce((sum, p) => sum + p.floor, 0);
+  const byRemainder = [...parts].sort((a, b) => (b.remainder - a.remainder) || (a.index - b.index));
+  for (let i = 0; leftover > 0; i = (i + 1) % byRemainder.length, leftover--) {
+    byRemainder[i].floor += 1;
+  }
+
+  parts.forEach(p => allocation.set(p.id, (allocation.get(p.id) || 0) + p.floor));
+  return allocation;
+};
+
+// Pesos de división de un gasto [{ id, weight }] según su modo.
+// Los gastos antiguos no tienen `splitMode`, así que se dividen en partes iguales.
+const getShareWeights = (expense) => {
+  const { splitWith = [], splitMode = 'equal', splitValues = {} } = expense;
+  if (splitMode === 'equal') return splitWith.map(id => ({ id, weight: 1 }));
+  if (splitMode === 'itemized') {
+    // El subtotal de cada uno sirve de peso para todo el monto, así que impuestos y propina
+    // quedan repartidos en la misma proporción que las líneas
+    const subtotals = new Map(splitWith.map(id => [id, 0]));
+    for (const item of expense.items || []) {
+      const travelerIds = item.travelerIds || [];
+      travelerIds.forEach(id => {
+        subtotals.set(id, (subtotals.get(id) || 0) + toMinorUnits(item.amount, expense.currency) / travelerIds.length);
+      });
+    }
+    return Array.from(subtotals, ([id, weight]) => ({ id, weight }));
+  }
+  // Los montos exactos se comparan en unidades menores para que el reparto sea exacto
+  const toWeight = splitMode === 'exact' ? (value) => toMinorUnits(value, expense.currency) : Number;
+  return splitWith.map(id => ({ id, weight: Math.max(0, toWeight(splitValues[id]) || 0) }));
+};
+
+/**
+ * Lista de pagadores de un gasto. Los gastos con un único `paidBy` (formato anterior) se
+ * tratan como un solo pagador por el total.
+ * @returns {{ id: string, amount: number }[]}
+ */
+export const getExpensePayers = (expense) => {
+  if (Array.isArray(expense.payers) && expense.payers.length > 0) {
+    return expense.payers.map(p => ({ id: p.id, amount: Number(p.amount) || 0 }));
+  }
+  return expense.paidBy ? [{ id: expense.paidBy, amount: expense.amount }] : [];
+};
+
+/**
+ * Parte de cada participante en unidades menores. `totalMinor` permite repartir el gasto ya
+ * convertido a otra moneda; por defecto es el monto del gasto en su propia moneda.
+ * @returns {Map<string, number>}
+ */
+export const computeExpenseSharesMinor = (expense, totalMinor = toMinorUnits(expense.amount, expense.currency)) => (
+  allocateMinorUnits(totalMinor, getShareWeights(expense))
+);
+
+/**
+ * Aporte de cada pagador en unidades menores (mismo contrato que `computeExpenseSharesMinor`).
+ * @returns {Map<string, number>}
+ */
+export const computeExpensePaidMinor = (expense, totalMinor = toMinorUnits(expense.amount, expense.currency)) => (
+  allocateMinorUnits(totalMinor, getExpensePayers(expense).map(p => ({ id: p.id, weight: toMinorUnits(p.amount, expense.currency) })))
+);
+
+/**
+ * Parte de cada participante en la moneda del gasto, en decimales (para mostrar).
+ * @returns {Map<string, number>}
+ */
+export const computeExpenseShares = (expense) => {
+  const shares = new Map();
+  computeExpenseSharesMinor(expense).forEach((minor, id) => shares.set(id, fromMinorUnits(minor, expense.currency)));
+  return shares;
+};
+
+/**
+ * Efecto de una transacción sobre el balance de cada viajero, en unidades menores:
+ * positivo = le deben, negativo = debe. `totalMinor` es el monto total ya expresado en la
+ * moneda en la que se quiere el resultado.
+ * @returns {Map<string, number>} Enteros que suman cero.
+ */
+export const getTransactionDeltasMinor = (transaction, totalMinor) => {
+  const deltas = new Map();
+  const add = (id, value) => deltas.set(id, (deltas.get(id) || 0) + value);
+
+  if (transaction.type === 'settlement') {
+    add(transaction.payerId, totalMinor);
+    add(transaction.receiverId, -totalMinor);
+  } else {
+    computeExpensePaidMinor(transaction, totalMinor).forEach((paid, id) => add(id, paid));
+    computeExpenseSharesMinor(transaction, totalMinor).forEach((share, id) => add(id, -share));
+  }
+  return deltas;
+};
+
+// --- Tipos de Cambio ---
+
+/**
+ * Cuántas unidades de la moneda base vale 1 unidad de `currencyCode`. `exchangeRates` es la
+ * tabla del viaje, p. ej. con base COP: { THB: 118.5, USD: 4000 }.
+ * @returns {number|null} null si no hay tasa configurada.
+ */
+export const getExchangeRate = (currencyCode, baseCurrency, exchangeRates = {}) => {
+  if (currencyCode === baseCurrency) return 1;
+  const rate = Number(exchangeRates[currencyCode]);
+  return rate > 0 ? rate : null;
+};
+
+/**
+ * Expresa una tabla de tasas respecto a otra moneda base, usando la tasa de la nueva base en
+ * la tabla actual como pivote. Las tasas se redondean a 8 cifras significativas.
+ * @param {{ [code: string]: number }} exchangeRates Tasas respecto a `fromBase`.
+ * @param {string} fromBase
+ * @param {string} toBase
+ * @returns {{ [code: string]: number }|null} null si la tabla no tiene tasa para `toBase`.
+ */
+export const rebaseExchangeRates = (exchangeRates, fromBase, toBase) => {
+  if (fromBase === toBase) return { ...exchangeRates };
+  const pivot = getExchangeRate(toBase, fromBase, exchangeRates);
+  if (pivot === null) return null;
+  const round = (rate) => Number(rate.toPrecision(8));
+  const rebased = { [fromBase]: round(1 / pivot) };
+  for (const [code, rate] of Object.entries(exchangeRates)) {
+    if (code !== toBase && code !== fromBase && Number(rate) > 0) rebased[code] = round(Number(rate) / pivot);
+  }
+  return rebased;
+};
+
+/**
+ * Tasa para convertir una transacción a la moneda base. Prioriza la tasa realmente aplicada
+ * (guardada en la transacción) y usa la tabla del viaje solo como respaldo.
+ * @returns {number|null}
+ */
+export const getTransactionRate = (transaction, baseCurrency, exchangeRates = {}) => {
+  const { currency, chargedCurrency, exchangeRate } = transaction;
+  if (currency === baseCurrency) return 1;
+  if (chargedCurrency && exchangeRate > 0) {
+    const chargedRate = getExchangeRate(chargedCurrency, baseCurrency, exchangeRates);
+    if (chargedRate !== null) return exchangeRate * chargedRate;
+  }
+  return getExchangeRate(currency, baseCurrency, exchangeRates);
+};
+
+// --- Liquidación ---
+
+/**
+ * Algoritmo codicioso: empareja al que más debe con al que más le deben hasta saldar todo.
+ * @param {{ id: string, balance: number }[]} balances Enteros en unidades menores que suman cero.
+ * @returns {{ from: string, to: string, amount: number }[]} Transferencias en unidades menores
+ *   que saldan los balances exactamente.
+ */
+export const computeSettlementTransfers = (balances) => {
+  const owers = []; // Deben dinero (saldo negativo)
+  const owees = []; // Les deben dinero (saldo positivo)
+
+  for (const { id, balance } of balances) {
+    if (balance < 0) {
+      owers.push({ id, amount: -balance }); // Guardar como positivo
+    } else if (balance > 0) {
+      owees.push({ id, amount: balance });
+    }
+  }
+
+  const transfers = [];
+  owers.sort((a, b) => b.amount - a.amount);
+  owees.sort((a, b) => b.amount - a.amount);
+
+  let owerIndex = 0;
+  let oweeIndex = 0;
+
+  while (owerIndex < owers.length && oweeIndex < owees.length) {
+    const ower = owers[owerIndex];
+    const owee = owees[oweeIndex];
+    const amountToTransfer = Math.min(ower.amount, owee.amount);
+
+    transfers.push({
+      from: ower.id,
+      to: owee.id,
+      amount: amountToTransfer,
+    });
+
+    ower.amount -= amountToTransfer;
+    owee.amount -= amountToTransfer;
+
+    if (ower.amount === 0) owerIndex++;
+    if (owee.amount === 0) oweeIndex++;
+  }
+
+  return transfers;
+};
+
+// Por encima de este número de personas con saldo, la búsqueda exacta (exponencial) se vuelve
+// lenta y se usa la heurística.
+const MAX_EXACT_PARTICIPANTS = 16;
+
+// Saca las parejas que se saldan con una sola transferencia (uno debe exactamente lo que al
+// otro le deben). Siempre existe una solución óptima que las incluye.
+const extractExactPairs = (balances) => {
+  const transfers = [];
+  const remaining = balances.filter(b => b.balance !== 0).map(b => ({ ...b }));
+  for (const ower of remaining) {
+    if (ower.balance >= 0) continue;
+    const owee = remaining.find(b => b.balance === -ower.balance);
+    if (owee) {
+      transfers.push({ from: ower.id, to: owee.id, amount: owee.balance });
+      ower.balance = 0;
+      owee.balance = 0;
+    }
+  }
+  return { transfers, remaining: remaining.filter(b => b.balance !== 0) };
+};
+
+// Búsqueda exacta: el mínimo de transferencias es n - (máximo de subgrupos que suman cero),
+// porque cada subgrupo de k personas se salda con k - 1 transferencias. Programación dinámica
+// sobre subconjuntos (2^n estados) y luego se salda cada subgrupo con el algoritmo codicioso.
+const computeExactMinimalTransfers = (balances) => {
+  const n = balances.length;
+  const size = 1 << n;
+  const sums = new Float64Array(size); // Suma de los balances de cada máscara
+  const groups = new Int32Array(size); // Máximo de subgrupos que suman cero dentro de la máscara
+  const previous = new Int32Array(size); // Máscara anterior en el camino óptimo
+
+  for (let mask = 1; mask < size; mask++) {
+    const lowest = mask & -mask;
+    sums[mask] = sums[mask ^ lowest] + balances[31 - Math.clz32(lowest)].balance;
+    let best = -1;
+    for (let i = 0; i < n; i++) {
+      const bit = 1 << i;
+      if ((mask & bit) && groups[mask ^ bit] > best) {
+        best = groups[mask ^ bit];
+        previous[mask] = mask ^ bit;
+      }
+    }
+    groups[mask] = best + (sums[mask] === 0 ? 1 : 0);
+  }
+
+  // Reconstruir los subgrupos: cada vez que el camino pasa por una máscara que suma cero,
+  // las personas añadidas desde la anterior forman un subgrupo.
+  const transfers = [];
+  let mask = size - 1;
+  let groupEnd = mask;
+  while (mask) {
+    const next = previous[mask];
+    if (sums[next] === 0) {
+      const members = balances.filter((_, i) => (groupEnd & ~next) & (1 << i));
+      transfers.push(...computeSettlementTransfers(members));
+      groupEnd = next;
+    }
+    mask = next;
+  }
+  return transfers;
+};
+
+/**
+ * Liquidación con el menor número de transferencias. Búsqueda exacta hasta
+ * `MAX_EXACT_PARTICIPANTS` personas con saldo; por encima, heurística (parejas exactas y
+ * luego el algoritmo codicioso).
+ * @param {{ id: string, balance: number }[]} balances Enteros en unidades menores que suman cero.
+ * @returns {{ from: string, to: string, amount: number }[]} Transferencias en unidades menores.
+ */
+export const computeMinimalTransfers = (balances) => {
+  const { transfers, remaining } = extractExactPairs(balances);
+  if (remaining.length === 0) return transfers;
+  const rest = remaining.length <= MAX_EXACT_PARTICIPANTS
+    ? computeExactMinimalTransfers(remaining)
+    : computeSettlementTransfers(remaining);
+  return [...transfers, ...rest];
+};
+
+/** Estrategias de liquidación disponibles para `computeTripBalances` y `computeConsolidatedBalances`. */
+export const SETTLEMENT_STRATEGIES = {
+  minimal: computeMinimalTransfers,
+  greedy: computeSettlementTransfers,
+};
+
+const planTransfers = (balances, strategy = 'greedy') => (SETTLEMENT_STRATEGIES[strategy] || computeSettlementTransfers)(balances);
+
+// --- Cálculo Completo de un Viaje ---
+
+/**
+ * Balances por moneda de un viaje.
+ *
+ * Los importes atribuidos a ids que no están en `travelers` (viajeros eliminados del viaje)
+ * se ignoran y esos ids se devuelven en `unknownTravelerIds`; las liquidaciones solo se aplican
+ * si el pagador y el receptor existen. Las monedas usadas en transacciones se incluyen aunque no
+ * estén en `currencies`.
+ *
+ * @param {object} params
+ * @param {{ id: string, name: string }[]} params.travelers
+ * @param {object[]} params.transactions
+ * @param {string[]} [params.currencies] Monedas a incluir siempre, en orden.
+ * @param {'greedy'|'minimal'} [params.strategy] Estrategia de liquidación (por defecto 'greedy').
+ * @returns {{
+ *   currencies: string[],
+ *   totalsByTraveler: { id: string, name: string, [code: string]: { paid: number, share: number, balance: number } }[],
+ *   settlements: { [code: string]: { transactions: { from: string, to: string, amount: number }[] } },
+ *   totalExpensesByCurrency: { [code: string]: number },
+ *   unknownTravelerIds: string[],
+ * }} Montos en decimales de cada moneda; los balances de cada moneda suman exactamente cero
+ *   cuando no hay viajeros desconocidos.
+ */
+export const computeTripBalances = ({ travelers, transactions, currencies = [], strategy = 'greedy' }) => {
+  const currencyCodes = [...currencies];
+  for (const t of transactions) {
+    if (t.currency && !currencyCodes.includes(t.currency)) currencyCodes.push(t.currency);
+  }
+
+  const unknownTravelerIds = new Set();
+
+  // 1. Inicializar totales por viajero para cada moneda
+  const travelerTotals = new Map(travelers.map(t => [t.id, {
+    name: t.name,
+    ...currencyCodes.reduce((acc, code) => ({
+      ...acc,
+      [code]: { paid: 0, share: 0, balance: 0 } // balance es el balance NETO
+    }), {})
+  }]));
+
+  const totalExpensesByCurrency = currencyCodes.reduce((acc, code) => ({ ...acc, [code]: 0 }), {});
+
+  // Suma un importe al campo de un viajero, anotando los ids que ya no existen
+  const addTo = (id, currency, field, value) => {
+    if (travelerTotals.has(id)) {
+      travelerTotals.get(id)[currency][field] += value;
+    } else {
+      unknownTravelerIds.add(id);
+    }
+  };
+
+  // 2. Calcular 'paid' y 'share' basados SOLO en GASTOS ('expense')
+  for (const expense of transactions.filter(t => (t.type || 'expense') === 'expense')) {
+    const { amount, currency } = expense;
+    const totalMinor = toMinorUnits(amount, currency);
+    totalExpensesByCurrency[currency] += totalMinor;
+
+    computeExpensePaidMinor(expense, totalMinor).forEach((paid, id) => addTo(id, currency, 'paid', paid));
+    computeExpenseSharesMinor(expense, totalMinor).forEach((share, id) => addTo(id, currency, 'share', share));
+  }
+
+  // 3. Balance inicial = Pagado - Parte
+  for (const data of travelerTotals.values()) {
+    for (const code of currencyCodes) {
+      data[code].balance = data[code].paid - data[code].share;
+    }
+  }
+
+  // 4. Aplicar pagos manuales ('settlement') al balance
+  for (const settlement of transactions.filter(t => t.type === 'settlement')) {
+    const { amount, currency, payerId, receiverId } = settlement;
+    if (!(travelerTotals.has(payerId) && travelerTotals.has(receiverId))) {
+      [payerId, receiverId].filter(id => !travelerTotals.has(id)).forEach(id => unknownTravelerIds.add(id));
+      continue;
+    }
+    const amountMinor = toMinorUnits(amount, currency);
+    // El pagador reduce su deuda; el receptor reduce su crédito
+    travelerTotals.get(payerId)[currency].balance += amountMinor;
+    travelerTotals.get(receiverId)[currency].balance -= amountMinor;
+  }
+
+  // 5. Saldar cuentas por moneda y pasar todo a decimales
+  const settlements = {};
+  for (const code of currencyCodes) {
+    const balances = Array.from(travelerTotals.entries()).map(([id, data]) => ({ id, balance: data[code].balance }));
+    settlements[code] = {
+      transactions: planTransfers(balances, strategy).map(t => ({ ...t, amount: fromMinorUnits(t.amount, code) })),
+    };
+
+    for (const data of travelerTotals.values()) {
+      const { paid, share, balance } = data[code];
+      data[code] = {
+        paid: fromMinorUnits(paid, code),
+        share: fromMinorUnits(share, code),
+        balance: fromMinorUnits(balance, code),
+      };
+    }
+    totalExpensesByCurrency[code] = fromMinorUnits(totalExpensesByCurrency[code], code);
+  }
+
+  return {
+    currencies: currencyCodes,
+    totalsByTraveler: Array.from(travelerTotals.entries()).map(([id, data]) => ({ id, ...data })),
+    settlements,
+    totalExpensesByCurrency,
+    unknownTravelerIds: Array.from(unknownTravelerIds),
+  };
+};
+
+/**
+ * Balances consolidados en una moneda base. Cada transacción se convierte una sola vez (con su
+ * propia tasa o, si no tiene, con la tabla del viaje) y se reparte en la moneda base, así el
+ * redondeo de la conversión no deja saldos descuadrados.
+ *
+ * @param {object} params
+ * @param {{ id: string, name: string }[]} params.travelers
+ * @param {object[]} params.transactions
+ * @param {string} params.baseCurrency
+ * @param {{ [code: string]: number }} [params.exchangeRates]
+ * @param {'greedy'|'minimal'} [params.strategy] Estrategia de liquidación (por defecto 'greedy').
+ * @returns {{
+ *   balances: { id: string, name: string, balance: number }[],
+ *   transactions: { from: string, to: string, amount: number }[],
+ *   missingRates: string[],
+ * }} Montos en decimales de la moneda base. Las transacciones en monedas sin tasa se excluyen
+ *   y su moneda aparece en `missingRates`.
+ */
+export const computeConsolidatedBalances = ({ travelers, transactions, baseCurrency, exchangeRates = {}, strategy = 'greedy' }) => {
+  const missingRates = new Set();
+  const baseBalances = new Map(travelers.map(t => [t.id, 0]));
+
+  for (const transaction of transactions) {
+    if (transaction.type === 'settlement' &&
+        !(baseBalances.has(transaction.payerId) && baseBalances.has(transaction.receiverId))) {
+      continue;
+    }
+    const rate = getTransactionRate(transaction, baseCurrency, exchangeRates);
+    if (rate === null) {
+      missingRates.add(transaction.currency);
+      continue;
+    }
+    const baseTotalMinor = toMinorUnits(transaction.amount * rate, baseCurrency);
+    for (const [id, delta] of getTransactionDeltasMinor(transaction, baseTotalMinor)) {
+      if (baseBalances.has(id)) baseBalances.set(id, baseBalances.get(id) + delta);
+    }
+  }
+
+  const balancesMinor = travelers.map(t => ({ id: t.id, name: t.name, balance: baseBalances.get(t.id) }));
+
+  return {
+    balances: balancesMinor.map(t => ({ ...t, balance: fromMinorUnits(t.balance, baseCurrency) })),
+    transactions: planTransfers(balancesMinor, strategy).map(t => ({ ...t, amount: fromMinorUnits(t.amount, baseCurrency) })),
+    missingRates: Array.from(missingRates),
+  };
+};
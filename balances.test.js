@@ -0,0 +1,137 @@
+// Pruebas del motor de balances: `npm test` (usa el ejecutor de pruebas de Node, sin dependencias)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  allocateMinorUnits, computeTripBalances, computeConsolidatedBalances,
+  computeSettlementTransfers, computeMinimalTransfers, toMinorUnits, getCurrencyDigits, rebaseExchangeRates,
+} from './balances.js';
+
+const travelers = [{ id: 'ana', name: 'Ana' }, { id: 'luis', name: 'Luis' }];
+
+const expense = (data) => ({ type: 'expense', splitMode: 'equal', ...data });
+const settlement = (data) => ({ type: 'settlement', ...data });
+
+// Aplica las transferencias a los balances y comprueba que todo queda en cero
+const assertSettles = (balances, transfers) => {
+  const remaining = new Map(balances.map(b => [b.id, b.balance]));
+  for (const { from, to, amount } of transfers) {
+    remaining.set(from, remaining.get(from) + amount);
+    remaining.set(to, remaining.get(to) - amount);
+  }
+  assert.ok(Array.from(remaining.values()).every(balance => balance === 0));
+};
+
+test('ignora a los viajeros eliminados del viaje y los devuelve en unknownTravelerIds', () => {
+  const transactions = [
+    expense({ amount: 30, currency: 'USD', paidBy: 'ana', splitWith: ['ana', 'luis', 'eliminado'] }),
+    settlement({ amount: 5, currency: 'USD', payerId: 'otro', receiverId: 'ana' }),
+  ];
+
+  const { totalsByTraveler, settlements, unknownTravelerIds } = computeTripBalances({ travelers, transactions });
+  const byId = new Map(totalsByTraveler.map(t => [t.id, t.USD]));
+  assert.deepEqual(byId.get('ana'), { paid: 30, share: 10, balance: 20 });
+  assert.deepEqual(byId.get('luis'), { paid: 0, share: 10, balance: -10 });
+  assert.deepEqual([...unknownTravelerIds].sort(), ['eliminado', 'otro']);
+  assert.deepEqual(settlements.USD.transactions, [{ from: 'luis', to: 'ana', amount: 10 }]);
+
+  const consolidated = computeConsolidatedBalances({ travelers, transactions, baseCurrency: 'USD' });
+  assert.deepEqual(consolidated.balances.map(b => b.balance), [20, -10]);
+  assert.deepEqual(consolidated.transactions, [{ from: 'luis', to: 'ana', amount: 10 }]);
+});
+
+test('incluye la moneda de una liquidación aunque no tenga gastos', () => {
+  const transactions = [
+    expense({ amount: 30, currency: 'USD', paidBy: 'ana', splitWith: ['ana', 'luis'] }),
+    settlement({ amount: 10, currency: 'EUR', payerId: 'luis', receiverId: 'ana' }),
+  ];
+
+  const { currencies, totalsByTraveler, settlements, totalExpensesByCurrency } = computeTripBalances({
+    travelers, transactions, currencies: ['USD'],
+  });
+  assert.deepEqual(currencies, ['USD', 'EUR']);
+  assert.equal(totalExpensesByCurrency.EUR, 0);
+  assert.deepEqual(totalsByTraveler.map(t => t.EUR.balance), [-10, 10]);
+  assert.deepEqual(settlements.EUR.transactions, [{ from: 'ana', to: 'luis', amount: 10 }]);
+  assert.deepEqual(settlements.USD.transactions, [{ from: 'luis', to: 'ana', amount: 15 }]);
+});
+
+test('reparte el centavo sobrante entre tres sin perder ni crear dinero', () => {
+  const allocation = allocateMinorUnits(100, [{ id: 'a', weight: 1 }, { id: 'b', weight: 1 }, { id: 'c', weight: 1 }]);
+  assert.deepEqual(Array.from(allocation.entries()), [['a', 34], ['b', 33], ['c', 33]]);
+
+  const three = [...travelers, { id: 'eva', name: 'Eva' }];
+  const { totalsByTraveler } = computeTripBalances({
+    travelers: three,
+    transactions: [expense({ amount: 10, currency: 'USD', paidBy: 'ana', splitWith: ['ana', 'luis', 'eva'] })],
+  });
+  assert.deepEqual(totalsByTraveler.map(t => t.USD.share), [3.34, 3.33, 3.33]);
+  const totalMinor = totalsByTraveler.reduce((sum, t) => sum + toMinorUnits(t.USD.balance, 'USD'), 0);
+  assert.equal(totalMinor, 0);
+});
+
+test('trabaja en unidades enteras en monedas sin decimales (JPY, VND)', () => {
+  assert.equal(getCurrencyDigits('JPY'), 0);
+  assert.equal(getCurrencyDigits('VND'), 0);
+  assert.equal(toMinorUnits(1000, 'JPY'), 1000);
+
+  const three = [...travelers, { id: 'eva', name: 'Eva' }];
+  const { totalsByTraveler, settlements } = computeTripBalances({
+    travelers: three,
+    transactions: [
+      expense({ amount: 1000, currency: 'JPY', paidBy: 'ana', splitWith: ['ana', 'luis', 'eva'] }),
+      expense({ amount: 100000, currency: 'VND', paidBy: 'luis', splitWith: ['ana', 'luis', 'eva'] }),
+    ],
+  });
+  assert.deepEqual(totalsByTraveler.map(t => t.JPY.share), [334, 333, 333]);
+  assert.deepEqual(totalsByTraveler.map(t => t.VND.share), [33334, 33333, 33333]);
+  for (const code of ['JPY', 'VND']) {
+    assert.ok(settlements[code].transactions.every(t => Number.isInteger(t.amount)));
+  }
+});
+
+test('la estrategia mínima nunca usa más transferencias que la codiciosa', () => {
+  // Aquí la codiciosa necesita 4 transferencias y la mínima 3
+  const balances = [
+    { id: 'a', balance: -7 }, { id: 'b', balance: -5 }, { id: 'c', balance: -3 },
+    { id: 'd', balance: 8 }, { id: 'e', balance: 7 },
+  ];
+  const greedy = computeSettlementTransfers(balances);
+  const minimal = computeMinimalTransfers(balances);
+  assert.equal(greedy.length, 4);
+  assert.equal(minimal.length, 3);
+  assertSettles(balances, minimal);
+
+  // Casos pseudoaleatorios reproducibles
+  let seed = 42;
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+  for (let run = 0; run < 50; run++) {
+    const values = Array.from({ length: 2 + Math.floor(random() * 7) }, () => Math.floor(random() * 200) - 100);
+    values.push(-values.reduce((sum, v) => sum + v, 0));
+    const randomBalances = values.map((balance, i) => ({ id: `t${i}`, balance }));
+    const minimalTransfers = computeMinimalTransfers(randomBalances);
+    assert.ok(minimalTransfers.length <= computeSettlementTransfers(randomBalances).length);
+    assertSettles(randomBalances, minimalTransfers);
+  }
+});
+
+test('recalcula la tabla de tasas al cambiar de moneda base', () => {
+  // Base COP: 1 USD = 4000 COP, 1 THB = 118.5 COP
+  const rates = { USD: 4000, THB: 118.5 };
+  assert.deepEqual(rebaseExchangeRates(rates, 'COP', 'USD'), { COP: 0.00025, THB: 0.029625 });
+  assert.deepEqual(rebaseExchangeRates(rates, 'COP', 'COP'), rates);
+  // Sin tasa para la nueva base no hay pivote
+  assert.equal(rebaseExchangeRates(rates, 'COP', 'EUR'), null);
+
+  // Los saldos consolidados no cambian de valor al cambiar de base
+  const transactions = [expense({ amount: 40000, currency: 'COP', paidBy: 'ana', splitWith: ['ana', 'luis'] })];
+  const inCop = computeConsolidatedBalances({ travelers, transactions, baseCurrency: 'COP', exchangeRates: rates });
+  const inUsd = computeConsolidatedBalances({
+    travelers, transactions, baseCurrency: 'USD', exchangeRates: rebaseExchangeRates(rates, 'COP', 'USD'),
+  });
+  assert.deepEqual(inCop.balances.map(b => b.balance), [20000, -20000]);
+  assert.deepEqual(inUsd.balances.map(b => b.balance), [5, -5]);
+});
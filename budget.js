@@ -0,0 +1,148 @@
+// --- Presupuestos ---
+// Módulo puro (sin React ni Firebase): compara el gasto de un viaje con su presupuesto (total,
+// por categoría y por viajero), proyecta el gasto al final del viaje según el ritmo diario y
+// detecta qué límites cruza un gasto nuevo.
+//
+// Formato del presupuesto en el viaje:
+//   budget: { currency, amount?, warnAt?, categories?: { categoryId -> monto },
+//             travelers?: { travelerId -> monto } }
+// `warnAt` es el porcentaje (0-100) a partir del cual se avisa; por defecto 80. Todo se mide en
+// `currency`: los gastos en otras monedas se convierten con las tasas del viaje (que están en su
+// moneda base) y, si falta alguna tasa, esos gastos no se cuentan y su moneda se devuelve en
+// `missingRates`. Por viajero se cuenta su parte de cada gasto, no lo que pagó.
+
+import {
+  computeExpenseSharesMinor, fromMinorUnits, getExchangeRate, getTransactionRate, toMinorUnits,
+} from './balances.js';
+import { getExpenseCategoryId } from './analytics.js';
+
+export const DEFAULT_BUDGET_WARN_AT = 80;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Días entre dos fechas YYYY-MM-DD, contando ambas
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS) + 1;
+
+// Tasa para pasar una transacción a la moneda del presupuesto, a través de la moneda base
+const getBudgetRate = (transaction, budgetCurrency, baseCurrency, exchangeRates) => {
+  if (transaction.currency === budgetCurrency) return 1;
+  if (!baseCurrency) return null;
+  const toBase = getTransactionRate(transaction, baseCurrency, exchangeRates);
+  const budgetToBase = getExchangeRate(budgetCurrency, baseCurrency, exchangeRates);
+  return toBase !== null && budgetToBase !== null ? toBase / budgetToBase : null;
+};
+
+const buildLine = (id, label, limit, spentMinor, currency, warnAt) => {
+  const spent = fromMinorUnits(spentMinor, currency);
+  const ratio = limit > 0 ? spent / limit : 0;
+  return {
+    id,
+    label,
+    limit,
+    spent,
+    ratio,
+    status: ratio > 1 ? 'over' : ratio * 100 >= warnAt ? 'warning' : 'ok',
+  };
+};
+
+/**
+ * Estado del presupuesto de un viaje.
+ * @param {object} params
+ * @param {object} params.budget Presupuesto del viaje (ver formato arriba).
+ * @param {{ id: string, name: string }[]} params.travelers
+ * @param {object[]} params.transactions
+ * @param {{ id: string, label: string }[]} params.categories Categorías del viaje.
+ * @param {string|null} [params.baseCurrency] Moneda base del viaje (la de `exchangeRates`).
+ * @param {object} [params.exchangeRates]
+ * @param {string|null} [params.startDate] Inicio del viaje; si no hay, el primer gasto.
+ * @param {string|null} [params.endDate] Fin del viaje; sin él no hay proyección.
+ * @param {string} params.today Fecha actual (YYYY-MM-DD).
+ * @returns {{
+ *   currency: string,
+ *   warnAt: number,
+ *   overall: { id: string, label: string, limit: number, spent: number, ratio: number, status: 'ok'|'warning'|'over' }|null,
+ *   categories: object[],
+ *   travelers: object[],
+ *   projection: { dailyRate: number, projected: number, elapsedDays: number, totalDays: number }|null,
+ *   missingRates: string[],
+ * }} Solo incluye las líneas con límite. Montos en decimales de la moneda del presupuesto.
+ */
+export const computeBudgetStatus = ({
+  budget, travelers, transactions, categories, baseCurrency = null, exchangeRates = {},
+  startDate = null, endDate = null, today,
+}) => {
+  const { currency } = budget;
+  const warnAt = Number(budget.warnAt) > 0 ? Number(budget.warnAt) : DEFAULT_BUDGET_WARN_AT;
+  const missingRates = new Set();
+  let totalMinor = 0;
+  const categoryMinor = new Map();
+  const travelerMinor = new Map();
+  const dates = [];
+
+  for (const expense of transactions.filter(t => (t.type || 'expense') === 'expense')) {
+    const rate = getBudgetRate(expense, currency, baseCurrency, exchangeRates);
+    if (rate === null) {
+      missingRates.add(expense.currency);
+      continue;
+    }
+    const amountMinor = toMinorUnits(expense.amount * rate, currency);
+    totalMinor += amountMinor;
+    const categoryId = getExpenseCategoryId(expense, categories);
+    categoryMinor.set(categoryId, (categoryMinor.get(categoryId) || 0) + amountMinor);
+    computeExpenseSharesMinor(expense, amountMinor).forEach((share, id) => {
+      travelerMinor.set(id, (travelerMinor.get(id) || 0) + share);
+    });
+    if (expense.date) dates.push(expense.date);
+  }
+
+  const categoryLimits = budget.categories || {};
+  const travelerLimits = budget.travelers || {};
+
+  // Proyección: gasto por día transcurrido multiplicado por la duración del viaje
+  let projection = null;
+  const start = startDate || dates.sort()[0];
+  if (start && endDate && endDate >= start && today >= start) {
+    const totalDays = daysBetween(start, endDate);
+    const elapsedDays = Math.min(daysBetween(start, today), totalDays);
+    const dailyRate = fromMinorUnits(totalMinor, currency) / elapsedDays;
+    projection = {
+      dailyRate,
+      projected: fromMinorUnits(Math.round((totalMinor / elapsedDays) * totalDays), currency),
+      elapsedDays,
+      totalDays,
+    };
+  }
+
+  return {
+    currency,
+    warnAt,
+    overall: budget.amount > 0 ? buildLine('total', 'Total del viaje', budget.amount, totalMinor, currency, warnAt) : null,
+    categories: categories
+      .filter(c => categoryLimits[c.id] > 0)
+      .map(c => buildLine(`category:${c.id}`, c.label, categoryLimits[c.id], categoryMinor.get(c.id) || 0, currency, warnAt)),
+    travelers: travelers
+      .filter(t => travelerLimits[t.id] > 0)
+      .map(t => buildLine(`traveler:${t.id}`, t.name, travelerLimits[t.id], travelerMinor.get(t.id) || 0, currency, warnAt)),
+    projection,
+    missingRates: Array.from(missingRates),
+  };
+};
+
+const STATUS_LEVEL = { ok: 0, warning: 1, over: 2 };
+
+/**
+ * Límites que empeoran de estado entre dos cálculos del presupuesto (antes y después de guardar
+ * un gasto): los que pasan a superar el umbral de aviso o el propio límite.
+ * @param {ReturnType<typeof computeBudgetStatus>} before
+ * @param {ReturnType<typeof computeBudgetStatus>} after
+ * @returns {{ id: string, label: string, limit: number, spent: number, ratio: number, status: 'warning'|'over', currency: string }[]}
+ */
+export const getBudgetAlerts = (before, after) => {
+  const previous = new Map(
+    [before.overall, ...before.categories, ...before.travelers].filter(Boolean).map(line => [line.id, line.status])
+  );
+  return [after.overall, ...after.categories, ...after.travelers]
+    .filter(Boolean)
+    .filter(line => STATUS_LEVEL[line.status] > STATUS_LEVEL[previous.get(line.id) || 'ok'])
+    .map(line => ({ ...line, currency: after.currency }));
+};
@@ -0,0 +1,496 @@
+// --- Exportación e Importación CSV ---
+// Módulo puro (sin React ni Firebase): convierte transacciones y balances de un viaje en texto
+// CSV y, al revés, convierte un CSV (hoja de cálculo propia o exportación de Splitwise) en
+// transacciones listas para guardar. Al exportar, los montos se escriben sin separador de
+// miles y con punto decimal, con los decimales de su moneda, para que cualquier hoja de
+// cálculo los lea igual sea cual sea su idioma. Los ids de viajeros se sustituyen por sus nombres.
+
+import {
+  getCurrencyDigits, toMinorUnits, fromMinorUnits, allocateMinorUnits, getExpensePayers, computeExpenseShares,
+} from './balances.js';
+import { getExpenseCategoryId } from './analytics.js';
+
+/** Monto con los decimales de su moneda y punto decimal (1234.5 USD -> "1234.50"). */
+export const formatCsvAmount = (amount, code) => (Number(amount) || 0).toFixed(getCurrencyDigits(code));
+
+// Entre comillas si el valor contiene separador, comillas o saltos de línea (RFC 4180)
+const escapeCsvValue = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Une filas en un texto CSV separado por comas, con saltos de línea CRLF.
+ * @param {Array<Array<string|number|null|undefined>>} rows La primera fila es la cabecera.
+ * @returns {string}
+ */
+export const toCsv = (rows) => rows.map(row => row.map(escapeCsvValue).join(',')).join('\r\n') + '\r\n';
+
+/**
+ * Historial de transacciones: una fila por gasto o liquidación, ordenadas por fecha, con una
+ * columna por viajero con su parte de cada gasto (vacía si no participa).
+ * @param {object} params
+ * @param {{ id: string, name: string }[]} params.travelers
+ * @param {object[]} params.transactions
+ * @param {{ id: string, label: string }[]} [params.categories] Categorías del viaje, para la columna "Categoría".
+ * @returns {string}
+ */
+export const buildTransactionsCsv = ({ travelers, transactions, categories = [] }) => {
+  const nameOf = (id) => travelers.find(t => t.id === id)?.name ?? id;
+  const categoryOf = (expense) => categories.find(c => c.id === getExpenseCategoryId(expense, categories))?.label ?? '';
+  const header = [
+    'Fecha', 'Tipo', 'Descripción', 'Categoría', 'Monto', 'Moneda', 'Pagado por', 'Participantes',
+    'Monto cobrado', 'Moneda cobrada',
+    ...travelers.map(t => `Parte ${t.name}`),
+  ];
+
+  const rows = [...transactions]
+    .sort((a, b) => String(a.date).localeCompare(String(b.date)))
+    .map(t => {
+      const charged = t.chargedCurrency && t.chargedAmount > 0
+        ? [formatCsvAmount(t.chargedAmount, t.chargedCurrency), t.chargedCurrency]
+        : ['', ''];
+
+      if (t.type === 'settlement') {
+        return [
+          t.date, 'Liquidación', t.description || '', '', formatCsvAmount(t.amount, t.currency), t.currency,
+          nameOf(t.payerId), nameOf(t.receiverId), ...charged, ...travelers.map(() => ''),
+        ];
+      }
+
+      const payers = getExpensePayers(t);
+      const payersText = payers.length > 1
+        ? payers.map(p => `${nameOf(p.id)} (${formatCsvAmount(p.amount, t.currency)})`).join('; ')
+        : payers.map(p => nameOf(p.id)).join('');
+      const shares = computeExpenseShares(t);
+      return [
+        t.date, 'Gasto', t.description || '', categoryOf(t), formatCsvAmount(t.amount, t.currency), t.currency,
+        payersText, (t.splitWith || []).map(nameOf).join('; '), ...charged,
+        ...travelers.map(traveler => (shares.has(traveler.id) ? formatCsvAmount(shares.get(traveler.id), t.currency) : '')),
+      ];
+    });
+
+  return toCsv([header, ...rows]);
+};
+
+/**
+ * Saldos por moneda (y el consolidado en la moneda base, si lo hay): una fila por viajero y
+ * moneda con lo pagado, su parte y el balance neto.
+ * @param {object} params
+ * @param {string[]} params.currencies Monedas a exportar, en orden.
+ * @param {object[]} params.totalsByTraveler Resultado de `computeTripBalances`.
+ * @param {{ balances: { name: string, balance: number }[] }|null} [params.consolidated]
+ *   Resultado de `computeConsolidatedBalances`.
+ * @param {string} [params.baseCurrency]
+ * @returns {string}
+ */
+export const buildBalancesCsv = ({ currencies, totalsByTraveler, consolidated = null, baseCurrency = null }) => {
+  const rows = [['Moneda', 'Viajero', 'Pagado', 'Parte', 'Balance neto']];
+  for (const code of currencies) {
+    for (const traveler of totalsByTraveler) {
+      const { paid, share, balance } = traveler[code];
+      rows.push([code, traveler.name, formatCsvAmount(paid, code), formatCsvAmount(share, code), formatCsvAmount(balance, code)]);
+    }
+  }
+  if (consolidated && baseCurrency) {
+    for (const traveler of consolidated.balances) {
+      rows.push([`${baseCurrency} (consolidado)`, traveler.name, '', '', formatCsvAmount(traveler.balance, baseCurrency)]);
+    }
+  }
+  return toCsv(rows);
+};
+
+/**
+ * Transferencias recomendadas para saldar cuentas, por moneda (y consolidadas, si las hay).
+ * @param {object} params
+ * @param {{ id: string, name: string }[]} params.travelers
+ * @param {string[]} params.currencies
+ * @param {{ [code: string]: { transactions: { from: string, to: string, amount: number }[] } }} params.settlements
+ * @param {{ transactions: { from: string, to: string, amount: number }[] }|null} [params.consolidated]
+ * @param {string} [params.baseCurrency]
+ * @returns {string}
+ */
+export const buildTransfersCsv = ({ travelers, currencies, settlements, consolidated = null, baseCurrency = null }) => {
+  const nameOf = (id) => travelers.find(t => t.id === id)?.name ?? id;
+  const rows = [['Moneda', 'De', 'Para', 'Monto']];
+  for (const code of currencies) {
+    for (const transfer of settlements[code]?.transactions || []) {
+      rows.push([code, nameOf(transfer.from), nameOf(transfer.to), formatCsvAmount(transfer.amount, code)]);
+    }
+  }
+  if (consolidated && baseCurrency) {
+    for (const transfer of consolidated.transactions) {
+      rows.push([`${baseCurrency} (consolidado)`, nameOf(transfer.from), nameOf(transfer.to), formatCsvAmount(transfer.amount, baseCurrency)]);
+    }
+  }
+  return toCsv(rows);
+};
+
+// --- Importación ---
+
+/**
+ * Lee un texto CSV (RFC 4180) y devuelve sus filas. Detecta si el separador es coma, punto y
+ * coma o tabulador mirando la primera línea, ignora el BOM y descarta las filas vacías.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export const parseCsv = (text) => {
+  const source = text.replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) => (
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  ), ',');
+
+  const rows = [];
+  let row = [];
+  let value = '';
+  let inQuotes = false;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+  if (value !== '' || row.length > 0) {
+    row.push(value);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+};
+
+/**
+ * Lee un monto escrito con cualquier convención: "1234.5", "1.234,50", "1,234.50", "50,000",
+ * "$ 12". Si aparecen punto y coma, el último es el decimal; una coma seguida de grupos de tres
+ * cifras es separador de miles.
+ * @returns {number} NaN si no es un número.
+ */
+export const parseCsvAmount = (text) => {
+  let clean = String(text ?? '').replace(/[^\d.,-]/g, '');
+  const lastComma = clean.lastIndexOf(',');
+  const lastDot = clean.lastIndexOf('.');
+  if (lastComma !== -1 && lastDot !== -1) {
+    const decimal = lastComma > lastDot ? ',' : '.';
+    clean = clean.split(decimal === ',' ? '.' : ',').join('').replace(decimal, '.');
+  } else if (lastComma !== -1) {
+    clean = /^-?\d{1,3}(,\d{3})+$/.test(clean) ? clean.replace(/,/g, '') : clean.replace(',', '.');
+  } else if ((clean.match(/\./g) || []).length > 1) {
+    clean = clean.replace(/\./g, '');
+  }
+  return clean === '' ? NaN : Number(clean);
+};
+
+/**
+ * Lee una fecha "AAAA-MM-DD" (también con hora, como en Splitwise), "AAAA/MM/DD" o
+ * "DD/MM/AAAA" (la convención en español; también con guiones o puntos).
+ * @returns {string|null} La fecha en formato "AAAA-MM-DD" o null si no es válida.
+ */
+export const parseCsvDate = (text) => {
+  const value = String(text ?? '').trim();
+  let match = value.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+  let [year, month, day] = match ? [match[1], match[2], match[3]] : [];
+  if (!match) {
+    match = value.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+    if (!match) return null;
+    [day, month, year] = [match[1], match[2], match[3]];
+  }
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) return null;
+  return date.toISOString().split('T')[0];
+};
+
+/** Campos de una transacción que se pueden asignar a columnas del CSV. */
+export const IMPORT_FIELDS = [
+  { id: 'date', label: 'Fecha', required: true, aliases: ['fecha', 'date'] },
+  { id: 'description', label: 'Descripción', required: true, aliases: ['descripción', 'descripcion', 'description', 'concepto'] },
+  { id: 'amount', label: 'Monto', required: true, aliases: ['monto', 'importe', 'amount', 'cost', 'total'] },
+  { id: 'currency', label: 'Moneda', required: false, aliases: ['moneda', 'currency', 'divisa'] },
+  { id: 'payer', label: 'Pagado por', required: true, aliases: ['pagado por', 'pagador', 'paid by', 'payer'] },
+  { id: 'participants', label: 'Participantes', required: false, aliases: ['participantes', 'dividido entre', 'participants', 'split with'] },
+  { id: 'type', label: 'Tipo', required: false, aliases: ['tipo', 'type'] },
+  { id: 'category', label: 'Categoría', required: false, aliases: ['categoría', 'categoria', 'category'] },
+];
+
+/** Indica si la cabecera corresponde a una exportación de Splitwise. */
+export const isSplitwiseExport = (header) => {
+  const names = header.map(h => h.trim().toLowerCase());
+  return ['date', 'description', 'category', 'cost', 'currency'].every(name => names.includes(name));
+};
+
+/**
+ * Propone qué columna corresponde a cada campo según el nombre de la cabecera.
+ * @param {string[]} header
+ * @returns {{ [field: string]: number }} Índice de columna por campo (solo los reconocidos).
+ */
+export const guessColumnMapping = (header) => {
+  const names = header.map(h => h.trim().toLowerCase());
+  const mapping = {};
+  for (const field of IMPORT_FIELDS) {
+    const index = names.findIndex(name => field.aliases.includes(name));
+    if (index !== -1) mapping[field.id] = index;
+  }
+  return mapping;
+};
+
+// Clave para comparar nombres sin distinguir mayúsculas ni tildes
+const normalizeName = (name) => name.trim().normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+const isValidCurrency = (code) => {
+  if (!/^[A-Z]{3}$/.test(code)) return false;
+  try {
+    new Intl.NumberFormat('en', { style: 'currency', currency: code });
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+// Error de la moneda de una fila: tiene que ser un código ISO y una de las monedas del viaje
+const getCurrencyError = (code, currencies, text = code) => {
+  if (!isValidCurrency(code)) return `Moneda no válida: ${text || '(vacía)'}.`;
+  if (currencies && !currencies.includes(code)) return `La moneda ${code} no está en el viaje.`;
+  return null;
+};
+
+// "Ana (10.00); Bob (5.00)" -> [{ name: 'Ana', amount: 10 }, { name: 'Bob', amount: 5 }]; "Ana" -> [{ name: 'Ana' }]
+const parsePayersCell = (text) => String(text ?? '').split(';').map(part => part.trim()).filter(Boolean).map(part => {
+  const match = part.match(/^(.*?)\s*\(([^()]*)\)$/);
+  return match ? { name: match[1].trim(), amount: parseCsvAmount(match[2]) } : { name: part };
+});
+
+// Los participantes se separan con ";" (como al exportar) o, si no hay ninguno, con ","
+const parseNamesCell = (text) => {
+  const value = String(text ?? '');
+  return value.split(value.includes(';') ? ';' : ',').map(name => name.trim()).filter(Boolean);
+};
+
+const SETTLEMENT_TYPE_PATTERN = /liquidaci|pago de deuda|payment|settle/i;
+
+/**
+ * Convierte las filas de un CSV en transacciones del viaje, con los errores de cada fila.
+ * Los viajeros se buscan por nombre (sin distinguir mayúsculas ni tildes); los que no existen
+ * se devuelven en `newTravelers` con un id de `generateId`, y las transacciones ya los usan.
+ *
+ * Con `format: 'splitwise'` se ignora `mapping`: cada viajero es una columna con su saldo neto
+ * en ese gasto (lo que pagó menos su parte). Se reconstruye un gasto con división exacta que
+ * produce los mismos saldos; las filas de categoría "Payment" son liquidaciones.
+ *
+ * @param {object} params
+ * @param {string[][]} params.rows Filas del CSV, con la cabecera en la primera.
+ * @param {'generic'|'splitwise'} params.format
+ * @param {{ [field: string]: number }} [params.mapping] Columna de cada campo (formato genérico).
+ * @param {{ id: string, name: string }[]} params.travelers Viajeros existentes del viaje.
+ * @param {{ id: string, label: string }[]} [params.categories] Categorías del viaje; la columna de
+ *   categoría se compara con su nombre (sin distinguir mayúsculas ni tildes) y, si no coincide
+ *   ninguna, el gasto queda sin categoría.
+ * @param {string} params.defaultCurrency Moneda para las filas sin columna de moneda.
+ * @param {string[]} [params.currencies] Códigos de las monedas del viaje; las filas con otra
+ *   moneda se rechazan.
+ * @param {() => string} params.generateId
+ * @returns {{
+ *   items: { line: number, raw: { date: string, description: string, amount: string, currency: string },
+ *            transaction: object|null, errors: string[] }[],
+ *   newTravelers: { id: string, name: string }[],
+ * }} `line` es el número de fila sin contar las vacías (la cabecera es la 1).
+ */
+export const buildImportPreview = ({ rows, format, mapping = {}, travelers, categories = [], defaultCurrency, currencies, generateId }) => {
+  const [header = [], ...dataRows] = rows;
+  const categoryIds = new Map(categories.flatMap(c => [[normalizeName(c.label), c.id], [normalizeName(c.id), c.id]]));
+  const withCategory = (transaction, text) => {
+    const categoryId = categoryIds.get(normalizeName(text));
+    return transaction?.type === 'expense' && categoryId ? { ...transaction, category: categoryId } : transaction;
+  };
+  const travelerIds = new Map(travelers.map(t => [normalizeName(t.name), t.id]));
+  const newTravelers = [];
+  const idForName = (name) => {
+    const key = normalizeName(name);
+    if (!travelerIds.has(key)) {
+      const traveler = { id: generateId(), name: name.trim() };
+      newTravelers.push(traveler);
+      travelerIds.set(key, traveler.id);
+    }
+    return travelerIds.get(key);
+  };
+
+  const items = [];
+  dataRows.forEach((row, index) => {
+    const cell = (column) => (column === undefined ? '' : String(row[column] ?? '').trim());
+    const line = index + 2;
+
+    if (format === 'splitwise') {
+      const columns = Object.fromEntries(header.map((h, i) => [h.trim().toLowerCase(), i]));
+      const description = cell(columns.description);
+      // La última fila de Splitwise es "Total balance", sin fecha
+      if (!cell(columns.date) && /total balance/i.test(description)) return;
+      const raw = { date: cell(columns.date), description, amount: cell(columns.cost), currency: cell(columns.currency) };
+      const personColumns = header
+        .map((name, i) => ({ name: name.trim(), index: i }))
+        .filter(c => c.index > columns.currency && c.name);
+      const result = buildSplitwiseTransaction(raw, cell(columns.category), personColumns.map(c => ({ name: c.name, net: cell(c.index) })), idForName, currencies);
+      items.push({ line, raw, ...result, transaction: withCategory(result.transaction, cell(columns.category)) });
+      return;
+    }
+
+    const raw = {
+      date: cell(mapping.date),
+      description: cell(mapping.description),
+      amount: cell(mapping.amount),
+      currency: cell(mapping.currency).toUpperCase() || defaultCurrency,
+    };
+    const errors = [];
+    const date = parseCsvDate(raw.date);
+    if (!date) errors.push('Fecha no válida.');
+    const isSettlement = SETTLEMENT_TYPE_PATTERN.test(cell(mapping.type));
+    if (!raw.description && !isSettlement) errors.push('Falta la descripción.');
+    const currency = raw.currency;
+    const currencyError = getCurrencyError(currency, currencies);
+    if (currencyError) errors.push(currencyError);
+    const parsedAmount = parseCsvAmount(raw.amount);
+    if (!(parsedAmount > 0)) errors.push('El monto debe ser un número positivo.');
+    const amount = errors.length === 0 ? fromMinorUnits(toMinorUnits(parsedAmount, currency), currency) : parsedAmount;
+
+    const payerEntries = parsePayersCell(cell(mapping.payer));
+    if (payerEntries.length === 0) errors.push('Falta quién pagó.');
+    const participantNames = parseNamesCell(cell(mapping.participants));
+
+    if (errors.length > 0) {
+      items.push({ line, raw, transaction: null, errors });
+      return;
+    }
+
+    if (isSettlement) {
+      if (payerEntries.length !== 1 || participantNames.length !== 1) {
+        items.push({ line, raw, transaction: null, errors: ['Una liquidación necesita un pagador y un receptor.'] });
+        return;
+      }
+      const payerId = idForName(payerEntries[0].name);
+      const receiverId = idForName(participantNames[0]);
+      if (payerId === receiverId) {
+        items.push({ line, raw, transaction: null, errors: ['El pagador y el receptor son la misma persona.'] });
+        return;
+      }
+      items.push({
+        line, raw, errors: [],
+        transaction: { type: 'settlement', description: raw.description, amount, currency, date, payerId, receiverId },
+      });
+      return;
+    }
+
+    // Varios pagadores: sus aportes deben sumar el total
+    let payers;
+    if (payerEntries.length > 1) {
+      if (payerEntries.some(p => !(p.amount >= 0))) {
+        items.push({ line, raw, transaction: null, errors: ['Con varios pagadores, indica el aporte de cada uno: "Ana (10); Bob (5)".'] });
+        return;
+      }
+      const paidMinor = payerEntries.reduce((sum, p) => sum + toMinorUnits(p.amount, currency), 0);
+      if (paidMinor !== toMinorUnits(amount, currency)) {
+        items.push({ line, raw, transaction: null, errors: ['Los aportes de los pagadores no suman el monto.'] });
+        return;
+      }
+      payers = payerEntries.map(p => ({ id: idForName(p.name), amount: p.amount }));
+    } else {
+      payers = [{ id: idForName(payerEntries[0].name), amount }];
+    }
+
+    // Sin participantes se reparte entre todos los viajeros existentes
+    const splitWith = participantNames.length > 0
+      ? Array.from(new Set(participantNames.map(idForName)))
+      : travelers.map(t => t.id);
+    if (splitWith.length === 0) {
+      items.push({ line, raw, transaction: null, errors: ['Faltan los participantes.'] });
+      return;
+    }
+
+    const primaryPayer = payers.reduce((max, p) => (p.amount > max.amount ? p : max), payers[0]);
+    items.push({
+      line, raw, errors: [],
+      transaction: withCategory({
+        type: 'expense', description: raw.description, amount, currency, date,
+        paidBy: primaryPayer.id, payers, splitWith, splitMode: 'equal', splitValues: {},
+      }, cell(mapping.category)),
+    });
+  });
+
+  return { items, newTravelers };
+};
+
+// Reconstruye una fila de Splitwise a partir del saldo neto de cada persona. Para los que
+// quedaron a deber, su parte es lo que deben. Lo que sobra del costo se reparte a partes
+// iguales entre los que quedaron a favor, que pagaron su saldo más esa parte.
+const buildSplitwiseTransaction = (raw, category, people, idForName, currencies) => {
+  const errors = [];
+  const date = parseCsvDate(raw.date);
+  if (!date) errors.push('Fecha no válida.');
+  const currency = raw.currency.toUpperCase();
+  const currencyError = getCurrencyError(currency, currencies, raw.currency);
+  if (currencyError) errors.push(currencyError);
+  const cost = parseCsvAmount(raw.amount);
+  if (!(cost > 0)) errors.push('El monto debe ser un número positivo.');
+  if (errors.length > 0) return { transaction: null, errors };
+
+  const costMinor = toMinorUnits(cost, currency);
+  const nets = people
+    .map(p => ({ name: p.name, net: toMinorUnits(parseCsvAmount(p.net) || 0, currency) }))
+    .filter(p => p.net !== 0);
+  const creditors = nets.filter(p => p.net > 0);
+  const debtors = nets.filter(p => p.net < 0);
+  if (creditors.length === 0 || debtors.length === 0 || nets.reduce((sum, p) => sum + p.net, 0) !== 0) {
+    return { transaction: null, errors: ['Los saldos de la fila no cuadran.'] };
+  }
+  const amount = fromMinorUnits(costMinor, currency);
+
+  if (/^payment$/i.test(category.trim())) {
+    if (creditors.length !== 1 || debtors.length !== 1) {
+      return { transaction: null, errors: ['Una liquidación necesita un pagador y un receptor.'] };
+    }
+    return {
+      errors: [],
+      transaction: {
+        type: 'settlement', description: raw.description, amount, currency, date,
+        payerId: idForName(creditors[0].name), receiverId: idForName(debtors[0].name),
+      },
+    };
+  }
+
+  const remainderMinor = costMinor - creditors.reduce((sum, p) => sum + p.net, 0);
+  if (remainderMinor < 0) return { transaction: null, errors: ['Los saldos superan el costo del gasto.'] };
+  const creditorShares = allocateMinorUnits(remainderMinor, creditors.map(p => ({ id: p.name, weight: 1 })));
+
+  const splitValues = {};
+  const payers = [];
+  debtors.forEach(p => { splitValues[idForName(p.name)] = fromMinorUnits(-p.net, currency); });
+  creditors.forEach(p => {
+    const shareMinor = creditorShares.get(p.name);
+    if (shareMinor > 0) splitValues[idForName(p.name)] = fromMinorUnits(shareMinor, currency);
+    payers.push({ id: idForName(p.name), amount: fromMinorUnits(p.net + shareMinor, currency) });
+  });
+  const primaryPayer = payers.reduce((max, p) => (p.amount > max.amount ? p : max), payers[0]);
+
+  return {
+    errors: [],
+    transaction: {
+      type: 'expense', description: raw.description, amount, currency, date,
+      paidBy: primaryPayer.id, payers, splitWith: Object.keys(splitValues), splitMode: 'exact', splitValues,
+    },
+  };
+};
@@ -0,0 +1,114 @@
+// --- Gastos Recurrentes ---
+// Módulo puro (sin React ni Firebase): calcula las fechas de una serie de gastos recurrentes
+// (alquiler por noche, una moto por día, un coworking al mes...) y construye sus ocurrencias
+// como gastos normales.
+//
+// Formato de la plantilla (subcolección `recurring` del viaje):
+//   { description, category, amount, currency, paidBy, payers, splitWith, splitMode, splitValues,
+//     chargedAmount?, chargedCurrency?, frequency: 'daily'|'weekly'|'monthly', startDate,
+//     endDate: string|null, materializedThrough?: string }
+// Cada ocurrencia se guarda como una transacción `expense` con `recurringId` y un id fijo,
+// `${templateId}_${fecha}`: si dos dispositivos crean la misma ocurrencia escriben el mismo
+// documento en lugar de duplicarla. `materializedThrough` es la última fecha ya creada; las
+// ocurrencias anteriores no se vuelven a crear aunque se editen o se borren a mano.
+
+export const RECURRENCE_FREQUENCIES = [
+  { id: 'daily', label: 'Cada día' },
+  { id: 'weekly', label: 'Cada semana' },
+  { id: 'monthly', label: 'Cada mes' },
+];
+
+// Campos de la plantilla que no pasan a las ocurrencias
+const TEMPLATE_ONLY_FIELDS = ['id', 'frequency', 'startDate', 'endDate', 'materializedThrough', 'createdAt'];
+
+// Las fechas YYYY-MM-DD se calculan en UTC para no depender de la zona horaria
+const parseDate = (date) => new Date(`${date}T00:00:00Z`);
+const formatDate = (value) => value.toISOString().slice(0, 10);
+
+const addDays = (date, days) => {
+  const value = parseDate(date);
+  value.setUTCDate(value.getUTCDate() + days);
+  return formatDate(value);
+};
+
+// Mismo día del mes `months` meses después; si ese mes es más corto, su último día
+const addMonths = (date, months) => {
+  const value = parseDate(date);
+  const day = value.getUTCDate();
+  value.setUTCDate(1);
+  value.setUTCMonth(value.getUTCMonth() + months);
+  const daysInMonth = new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth() + 1, 0)).getUTCDate();
+  value.setUTCDate(Math.min(day, daysInMonth));
+  return formatDate(value);
+};
+
+// Fecha de la ocurrencia número `index` (la primera es la 0). Siempre se cuenta desde el inicio
+// para que una serie mensual del 31 no se quede en el 28 después de febrero.
+const getOccurrenceDate = (template, index) => {
+  switch (template.frequency) {
+    case 'weekly': return addDays(template.startDate, index * 7);
+    case 'monthly': return addMonths(template.startDate, index);
+    default: return addDays(template.startDate, index);
+  }
+};
+
+/**
+ * Id de la transacción de una ocurrencia.
+ * @param {string} templateId
+ * @param {string} date YYYY-MM-DD
+ * @returns {string}
+ */
+export const getOccurrenceId = (templateId, date) => `${templateId}_${date}`;
+
+/**
+ * Fechas de la serie entre `from` (exclusive) y `until` (inclusive), dentro del inicio y el fin
+ * de la plantilla.
+ * @param {object} template
+ * @param {string|null} from Sin ella, desde el inicio de la serie.
+ * @param {string} until
+ * @returns {string[]} En orden cronológico.
+ */
+export const getOccurrenceDates = (template, from, until) => {
+  const last = template.endDate && template.endDate < until ? template.endDate : until;
+  const dates = [];
+  for (let index = 0; ; index += 1) {
+    const date = getOccurrenceDate(template, index);
+    if (date > last) break;
+    if (!from || date > from) dates.push(date);
+  }
+  return dates;
+};
+
+/**
+ * Ocurrencias que faltan por crear hasta `today` (las posteriores a `materializedThrough`).
+ * @param {string} templateId
+ * @param {object} template
+ * @param {string} today YYYY-MM-DD
+ * @returns {object[]} Transacciones con su `id`, listas para guardar.
+ */
+export const getPendingOccurrences = (templateId, template, today) => {
+  const data = Object.fromEntries(
+    Object.entries(template).filter(([field]) => !TEMPLATE_ONLY_FIELDS.includes(field))
+  );
+  return getOccurrenceDates(template, template.materializedThrough || null, today).map(date => ({
+    ...data,
+    id: getOccurrenceId(templateId, date),
+    type: 'expense',
+    date,
+    recurringId: templateId,
+  }));
+};
+
+/**
+ * Próxima fecha de la serie después de `today`, o null si ya terminó.
+ * @param {object} template
+ * @param {string} today YYYY-MM-DD
+ * @returns {string|null}
+ */
+export const getNextOccurrenceDate = (template, today) => {
+  for (let index = 0; ; index += 1) {
+    const date = getOccurrenceDate(template, index);
+    if (template.endDate && date > template.endDate) return null;
+    if (date > today) return date;
+  }
+};
@@ -0,0 +1,506 @@
+// --- Capa de Acceso a Datos ---
+// Una única interfaz para viajes, viajeros, transacciones y gastos recurrentes con dos implementaciones:
+//   - createFirestoreRepository: viajes compartidos en Firestore (con caché sin conexión).
+//   - createLocalRepository: todo en el almacenamiento del navegador, sin cuenta ni red.
+// `App` solo habla con el repositorio, así que no construye rutas ni llama a Firestore.
+//
+// Las escrituras devuelven una promesa pero se aplican primero en local y los listeners las
+// ven al instante: la promesa solo indica cuándo se confirmaron (en Firestore, al llegar al
+// servidor). Los `subscribe*` devuelven la función para cancelar la suscripción.
+
+import {
+  doc, setDoc, updateDoc, deleteDoc, collection, onSnapshot, query, where, getDoc, getDocs,
+  writeBatch, arrayUnion, arrayRemove, deleteField,
+} from 'firebase/firestore';
+
+/**
+ * @typedef {Object} TripRepository
+ * @property {'firestore'|'local'} kind
+ * @property {boolean} supportsSharing Si admite invitaciones, miembros y cuentas.
+ * @property {(userId: string, onChange: (trips: Object[]) => void, onError: (e: Error) => void) => Function} subscribeTrips
+ * @property {(userId: string, data: Object) => { id: string, written: Promise<void> }} createTrip
+ * @property {(tripId: string, updates: Object) => Promise<void>} updateTrip
+ * @property {(tripId: string) => Promise<void>} deleteTrip Borra el viaje con sus viajeros, transacciones, gastos recurrentes e invitación.
+ * @property {(userId: string, sourceTripId: string, data: Object) => { id: string, written: Promise<void> }} duplicateTrip
+ *   Crea un viaje nuevo con `data` y una copia de los viajeros (sin transacciones) de `sourceTripId`.
+ * @property {(tripId: string, onChange: (travelers: Object[]) => void, onError: (e: Error) => void) => Function} subscribeTravelers
+ * @property {(tripId: string, data: Object) => Promise<void>} addTraveler
+ * @property {(tripId: string, travelerId: string, updates: Object) => Promise<void>} updateTraveler
+ * @property {(tripId: string, travelerId: string, changes: { updated: Object[], deletedIds: string[], updatedRecurring?: Object[], unlinkUserIds?: string[], tripUpdates?: Object }) => Promise<void>} removeTraveler
+ *   Borra el viajero y, en la misma escritura, guarda las transacciones y gastos recurrentes
+ *   reasignados, borra las transacciones sin sentido, desvincula a los miembros que eran ese
+ *   viajero y aplica `tripUpdates` al viaje.
+ * @property {(tripId: string, onChange: (transactions: Object[], pendingIds: Set<string>) => void, onError: (e: Error) => void) => Function} subscribeTransactions
+ * @property {(tripId: string, transaction: Object, id?: string|null) => Promise<void>} saveTransaction
+ * @property {(tripId: string, id: string) => Promise<void>} deleteTransaction
+ * @property {(tripId: string, onChange: (templates: Object[]) => void, onError: (e: Error) => void) => Function} subscribeRecurring
+ * @property {(tripId: string, template: Object, id?: string|null) => Promise<void>} saveRecurring
+ * @property {(tripId: string, id: string) => Promise<void>} deleteRecurring Las ocurrencias ya creadas se conservan.
+ * @property {(tripId: string, templateId: string, occurrences: Object[], materializedThrough: string) => Promise<void>} materializeRecurring
+ *   Guarda las ocurrencias (con su id fijo) y avanza `materializedThrough` de la plantilla.
+ * @property {(tripId: string) => string} newTravelerId Id libre para un viajero que aún no se ha guardado.
+ * @property {(tripId: string, data: { travelers: Object[], transactions: Object[] }) => Promise<void>} importTransactions
+ *   Guarda de una vez viajeros (con su id) y transacciones nuevas.
+ * @property {(tripId: string, data: { trip: Object, travelers: Object[], transactions: Object[], recurring?: Object[] }) => Promise<void>} restoreTrip
+ *   Reemplaza los datos del viaje, sus viajeros, sus transacciones y sus gastos recurrentes (con sus ids) por los de una copia.
+ * @property {(userId: string) => Promise<void>} migrateLegacyTrips
+ * @property {(userId: string, inviteCode: string) => Promise<string|null>} joinTrip Id del viaje o null.
+ * @property {(tripId: string, userId: string, travelerId: string) => Promise<void>} linkTraveler
+ * @property {(fromUid: string, toUid: string, trips: Object[]) => Promise<void>} transferTrips
+ */
+
+// Las transacciones sin `type` (datos viejos) se tratan como gastos
+const withTransactionType = (id, data) => ({ id, type: data.type || 'expense', ...data });
+
+// Código de invitación corto y sin caracteres ambiguos (0/O, 1/I...)
+const generateInviteCode = () => {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  const values = crypto.getRandomValues(new Uint32Array(8));
+  return Array.from(values, v => alphabet[v % alphabet.length]).join('');
+};
+
+/**
+ * Repositorio sobre Firestore. Los viajes son compartidos: viven fuera de la carpeta de cada
+ * usuario y guardan la lista de miembros (`members`) que pueden verlos. Las invitaciones
+ * mapean un código a un viaje.
+ * @param {import('firebase/firestore').Firestore} db
+ * @param {string} appId
+ * @returns {TripRepository}
+ */
+export const createFirestoreRepository = (db, appId) => {
+  const tripsPath = `artifacts/${appId}/trips`;
+  const invitesPath = `artifacts/${appId}/invites`;
+  const travelersPath = (tripId) => `${tripsPath}/${tripId}/travelers`;
+  // La colección se sigue llamando 'expenses' por compatibilidad con los datos existentes
+  const transactionsPath = (tripId) => `${tripsPath}/${tripId}/expenses`;
+  const recurringPath = (tripId) => `${tripsPath}/${tripId}/recurring`;
+
+  // Ejecuta escrituras en lotes de hasta 450 operaciones (el límite de Firestore es 500).
+  // `operations` es una lista de funciones que reciben el lote y añaden su escritura. Todos
+  // los lotes se envían a la vez para que, sin conexión, queden encolados juntos.
+  const commitInBatches = (operations) => {
+    const commits = [];
+    for (let i = 0; i < operations.length; i += 450) {
+      const batch = writeBatch(db);
+      operations.slice(i, i + 450).forEach(operation => operation(batch));
+      commits.push(batch.commit());
+    }
+    return Promise.all(commits);
+  };
+
+  // Crea el viaje con el usuario como único miembro y registra su invitación en el mismo lote
+  const createSharedTrip = (tripRef, data, userId) => {
+    const inviteCode = generateInviteCode();
+    const batch = writeBatch(db);
+    batch.set(tripRef, { ...data, ownerId: userId, members: [userId], memberTravelers: {}, inviteCode });
+    batch.set(doc(db, invitesPath, inviteCode), { tripId: tripRef.id });
+    return batch.commit();
+  };
+
+  return {
+    kind: 'firestore',
+    supportsSharing: true,
+
+    subscribeTrips: (userId, onChange, onError) => onSnapshot(
+      query(collection(db, tripsPath), where('members', 'array-contains', userId)),
+      (snapshot) => onChange(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))),
+      onError
+    ),
+
+    createTrip: (userId, data) => {
+      const tripRef = doc(collection(db, tripsPath));
+      return { id: tripRef.id, written: createSharedTrip(tripRef, data, userId) };
+    },
+
+    updateTrip: (tripId, updates) => updateDoc(doc(db, tripsPath, tripId), updates),
+
+    // Las reglas de las subcolecciones comprueban la membresía en el viaje, así que se vacían
+    // antes de borrar el viaje (y su invitación) en un último lote
+    deleteTrip: async (tripId) => {
+      const tripRef = doc(db, tripsPath, tripId);
+      const [trip, travelers, transactions, recurring] = await Promise.all([
+        getDoc(tripRef),
+        getDocs(collection(db, travelersPath(tripId))),
+        getDocs(collection(db, transactionsPath(tripId))),
+        getDocs(collection(db, recurringPath(tripId))),
+      ]);
+      await commitInBatches(
+        [...travelers.docs, ...transactions.docs, ...recurring.docs].map(d => (batch) => batch.delete(d.ref))
+      );
+      const batch = writeBatch(db);
+      const inviteCode = trip.data()?.inviteCode;
+      if (inviteCode) batch.delete(doc(db, invitesPath, inviteCode));
+      batch.delete(tripRef);
+      return batch.commit();
+    },
+
+    // Los viajeros conservan sus ids: son únicos dentro de cada viaje
+    duplicateTrip: (userId, sourceTripId, data) => {
+      const tripRef = doc(collection(db, tripsPath));
+      const written = createSharedTrip(tripRef, data, userId).then(async () => {
+        const travelers = await getDocs(collection(db, travelersPath(sourceTripId)));
+        return commitInBatches(travelers.docs.map(d => (batch) => (
+          batch.set(doc(db, travelersPath(tripRef.id), d.id), { name: d.data().name })
+        )));
+      });
+      return { id: tripRef.id, written };
+    },
+
+    subscribeTravelers: (tripId, onChange, onError) => onSnapshot(
+      collection(db, travelersPath(tripId)),
+      (snapshot) => onChange(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))),
+      onError
+    ),
+
+    addTraveler: (tripId, data) => setDoc(doc(collection(db, travelersPath(tripId))), data),
+
+    updateTraveler: (tripId, travelerId, updates) => updateDoc(doc(db, travelersPath(tripId), travelerId), updates),
+
+    // Borra el viajero y aplica en el mismo lote las transacciones reasignadas o eliminadas
+    removeTraveler: (tripId, travelerId, {
+      updated, deletedIds, updatedRecurring = [], unlinkUserIds = [], tripUpdates = {},
+    }) => {
+      const batch = writeBatch(db);
+      updated.forEach(({ id, ...data }) => batch.set(doc(db, transactionsPath(tripId), id), data));
+      deletedIds.forEach(id => batch.delete(doc(db, transactionsPath(tripId), id)));
+      updatedRecurring.forEach(({ id, ...data }) => batch.set(doc(db, recurringPath(tripId), id), data, { merge: true }));
+      const tripChanges = { ...tripUpdates };
+      unlinkUserIds.forEach(uid => { tripChanges[`memberTravelers.${uid}`] = deleteField(); });
+      if (Object.keys(tripChanges).length > 0) batch.update(doc(db, tripsPath, tripId), tripChanges);
+      batch.delete(doc(db, travelersPath(tripId), travelerId));
+      return batch.commit();
+    },
+
+    // Con includeMetadataChanges el listener también se dispara cuando el servidor confirma
+    // una escritura, para actualizar el estado de sincronización de cada transacción
+    subscribeTransactions: (tripId, onChange, onError) => onSnapshot(
+      collection(db, transactionsPath(tripId)),
+      { includeMetadataChanges: true },
+      (snapshot) => onChange(
+        snapshot.docs.map(d => withTransactionType(d.id, d.data())),
+        new Set(snapshot.docs.filter(d => d.metadata.hasPendingWrites).map(d => d.id))
+      ),
+      onError
+    ),
+
+    // El id de una transacción nueva se genera en local para no depender del servidor
+    saveTransaction: (tripId, transaction, id = null) => (id
+      ? setDoc(doc(db, transactionsPath(tripId), id), transaction, { merge: true })
+      : setDoc(doc(collection(db, transactionsPath(tripId))), transaction)),
+
+    deleteTransaction: (tripId, id) => deleteDoc(doc(db, transactionsPath(tripId), id)),
+
+    subscribeRecurring: (tripId, onChange, onError) => onSnapshot(
+      collection(db, recurringPath(tripId)),
+      (snapshot) => onChange(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))),
+      onError
+    ),
+
+    saveRecurring: (tripId, template, id = null) => (id
+      ? setDoc(doc(db, recurringPath(tripId), id), template, { merge: true })
+      : setDoc(doc(collection(db, recurringPath(tripId))), template)),
+
+    deleteRecurring: (tripId, id) => deleteDoc(doc(db, recurringPath(tripId), id)),
+
+    // Las ocurrencias tienen id fijo, así que si otro dispositivo ya las creó se sobrescriben
+    // con los mismos datos en lugar de duplicarse
+    materializeRecurring: (tripId, templateId, occurrences, materializedThrough) => commitInBatches([
+      ...occurrences.map(({ id, ...data }) => (batch) => batch.set(doc(db, transactionsPath(tripId), id), data)),
+      (batch) => batch.update(doc(db, recurringPath(tripId), templateId), { materializedThrough }),
+    ]),
+
+    newTravelerId: (tripId) => doc(collection(db, travelersPath(tripId))).id,
+
+    importTransactions: (tripId, { travelers, transactions }) => commitInBatches([
+      ...travelers.map(({ id, ...data }) => (batch) => batch.set(doc(db, travelersPath(tripId), id), data)),
+      ...transactions.map(data => (batch) => batch.set(doc(collection(db, transactionsPath(tripId))), data)),
+    ]),
+
+    // Los documentos actuales que no están en la copia se borran; los demás se sobrescriben
+    restoreTrip: async (tripId, { trip, travelers, transactions, recurring = [] }) => {
+      const [currentTravelers, currentTransactions, currentRecurring] = await Promise.all([
+        getDocs(collection(db, travelersPath(tripId))),
+        getDocs(collection(db, transactionsPath(tripId))),
+        getDocs(collection(db, recurringPath(tripId))),
+      ]);
+      const keptTravelerIds = new Set(travelers.map(t => t.id));
+      const keptTransactionIds = new Set(transactions.map(t => t.id));
+      const keptRecurringIds = new Set(recurring.map(t => t.id));
+      return commitInBatches([
+        (batch) => batch.update(doc(db, tripsPath, tripId), trip),
+        ...currentTravelers.docs.filter(d => !keptTravelerIds.has(d.id)).map(d => (batch) => batch.delete(d.ref)),
+        ...currentTransactions.docs.filter(d => !keptTransactionIds.has(d.id)).map(d => (batch) => batch.delete(d.ref)),
+        ...currentRecurring.docs.filter(d => !keptRecurringIds.has(d.id)).map(d => (batch) => batch.delete(d.ref)),
+        ...travelers.map(({ id, ...data }) => (batch) => batch.set(doc(db, travelersPath(tripId), id), data)),
+        ...transactions.map(({ id, ...data }) => (batch) => batch.set(doc(db, transactionsPath(tripId), id), data)),
+        ...recurring.map(({ id, ...data }) => (batch) => batch.set(doc(db, recurringPath(tripId), id), data)),
+      ]);
+    },
+
+    // Mueve los viajes de la ruta antigua por usuario (`users/${userId}/trips`) a la ruta
+    // compartida conservando los ids de viajes, viajeros y transacciones. Si no quedan viajes
+    // antiguos no hace nada, así que se puede llamar en cada inicio.
+    migrateLegacyTrips: async (userId) => {
+      const legacyTripsPath = `artifacts/${appId}/users/${userId}/trips`;
+      const legacyTrips = await getDocs(collection(db, legacyTripsPath));
+
+      for (const tripDoc of legacyTrips.docs) {
+        await createSharedTrip(doc(db, tripsPath, tripDoc.id), tripDoc.data(), userId);
+        for (const subcollection of ['travelers', 'expenses']) {
+          const snapshot = await getDocs(collection(db, `${legacyTripsPath}/${tripDoc.id}/${subcollection}`));
+          await commitInBatches(snapshot.docs.flatMap(d => [
+            (batch) => batch.set(doc(db, `${tripsPath}/${tripDoc.id}/${subcollection}`, d.id), d.data()),
+            (batch) => batch.delete(d.ref),
+          ]));
+        }
+        await deleteDoc(tripDoc.ref);
+      }
+    },
+
+    joinTrip: async (userId, inviteCode) => {
+      const invite = await getDoc(doc(db, invitesPath, inviteCode));
+      if (!invite.exists()) return null;
+      const { tripId } = invite.data();
+      // `lastJoinCode` permite a las reglas de seguridad comprobar la invitación
+      await updateDoc(doc(db, tripsPath, tripId), { members: arrayUnion(userId), lastJoinCode: inviteCode });
+      return tripId;
+    },
+
+    linkTraveler: (tripId, userId, travelerId) => (
+      updateDoc(doc(db, tripsPath, tripId), { [`memberTravelers.${userId}`]: travelerId })
+    ),
+
+    // Pasa la membresía de los viajes de un uid anónimo a la cuenta con la que se acaba de
+    // iniciar sesión. `trips` se recoge antes de cambiar de cuenta, porque después el uid
+    // anónimo ya no puede leerlos: la cuenta nueva entra con el código de invitación de cada
+    // viaje y luego, como miembro, sustituye al uid anterior (también en `ownerId` y en
+    // `memberTravelers`).
+    transferTrips: async (fromUid, toUid, trips) => {
+      for (const trip of trips) {
+        if (!trip.inviteCode) continue;
+        const tripRef = doc(db, tripsPath, trip.id);
+        await updateDoc(tripRef, { members: arrayUnion(toUid), lastJoinCode: trip.inviteCode });
+
+        const updates = {
+          members: arrayRemove(fromUid),
+          [`memberTravelers.${fromUid}`]: deleteField(),
+        };
+        const travelerId = trip.memberTravelers?.[fromUid];
+        if (travelerId && !trip.memberTravelers?.[toUid]) updates[`memberTravelers.${toUid}`] = travelerId;
+        if (trip.ownerId === fromUid) updates.ownerId = toUid;
+        await updateDoc(tripRef, updates);
+      }
+    },
+  };
+};
+
+// Id aleatorio de 20 caracteres, con el mismo formato que los de Firestore
+const generateLocalId = () => {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  const values = crypto.getRandomValues(new Uint32Array(20));
+  return Array.from(values, v => alphabet[v % alphabet.length]).join('');
+};
+
+/**
+ * Repositorio en el almacenamiento del navegador (localStorage por defecto). Guarda todo en
+ * una sola entrada con la forma { trips: { id -> viaje }, travelers: { tripId -> { id -> viajero } },
+ * transactions: { tripId -> { id -> transacción } }, recurring: { tripId -> { id -> plantilla } } }. No hay miembros ni invitaciones: todos
+ * los viajes pertenecen al navegador. Los cambios hechos en otras pestañas llegan por el
+ * evento `storage`.
+ * @param {string} appId
+ * @param {Storage} [storage] Cualquier objeto con getItem/setItem (útil en pruebas).
+ * @returns {TripRepository}
+ */
+export const createLocalRepository = (appId, storage = window.localStorage) => {
+  const storageKey = `splitwise:${appId}:data`;
+  const listeners = new Set();
+
+  const read = () => {
+    try {
+      const data = JSON.parse(storage.getItem(storageKey) || '{}');
+      return {
+        trips: data.trips || {},
+        travelers: data.travelers || {},
+        transactions: data.transactions || {},
+        recurring: data.recurring || {},
+      };
+    } catch (e) {
+      console.error("Datos locales corruptos, se ignoran:", e);
+      return { trips: {}, travelers: {}, transactions: {}, recurring: {} };
+    }
+  };
+
+  // Aplica `mutate` sobre una copia de los datos, los guarda y avisa a los listeners
+  const write = (mutate) => {
+    try {
+      const data = read();
+      mutate(data);
+      storage.setItem(storageKey, JSON.stringify(data));
+      listeners.forEach(listener => listener());
+      return Promise.resolve();
+    } catch (e) {
+      return Promise.reject(e);
+    }
+  };
+
+  // Los listeners reciben una vista derivada de los datos cada vez que cambian
+  const subscribe = (select, onChange, onError) => {
+    const listener = () => {
+      try {
+        onChange(select(read()));
+      } catch (e) {
+        onError(e);
+      }
+    };
+    const onStorage = (event) => {
+      if (event.key === storageKey) listener();
+    };
+    listeners.add(listener);
+    window.addEventListener('storage', onStorage);
+    listener();
+    return () => {
+      listeners.delete(listener);
+      window.removeEventListener('storage', onStorage);
+    };
+  };
+
+  const toList = (byId = {}) => Object.entries(byId).map(([id, data]) => ({ id, ...data }));
+
+  return {
+    kind: 'local',
+    supportsSharing: false,
+
+    subscribeTrips: (userId, onChange, onError) => subscribe(data => toList(data.trips), onChange, onError),
+
+    createTrip: (userId, tripData) => {
+      const id = generateLocalId();
+      return { id, written: write(data => { data.trips[id] = { ...tripData, ownerId: userId }; }) };
+    },
+
+    updateTrip: (tripId, updates) => write(data => {
+      data.trips[tripId] = { ...data.trips[tripId], ...updates };
+    }),
+
+    deleteTrip: (tripId) => write(data => {
+      delete data.trips[tripId];
+      delete data.travelers[tripId];
+      delete data.transactions[tripId];
+      delete data.recurring[tripId];
+    }),
+
+    duplicateTrip: (userId, sourceTripId, tripData) => {
+      const id = generateLocalId();
+      const written = write(data => {
+        data.trips[id] = { ...tripData, ownerId: userId };
+        data.travelers[id] = Object.fromEntries(
+          Object.entries(data.travelers[sourceTripId] || {}).map(([travelerId, t]) => [travelerId, { name: t.name }])
+        );
+      });
+      return { id, written };
+    },
+
+    subscribeTravelers: (tripId, onChange, onError) => (
+      subscribe(data => toList(data.travelers[tripId]), onChange, onError)
+    ),
+
+    addTraveler: (tripId, traveler) => write(data => {
+      data.travelers[tripId] = { ...data.travelers[tripId], [generateLocalId()]: traveler };
+    }),
+
+    updateTraveler: (tripId, travelerId, updates) => write(data => {
+      const travelers = { ...data.travelers[tripId] };
+      travelers[travelerId] = { ...travelers[travelerId], ...updates };
+      data.travelers[tripId] = travelers;
+    }),
+
+    removeTraveler: (tripId, travelerId, {
+      updated, deletedIds, updatedRecurring = [], unlinkUserIds = [], tripUpdates = {},
+    }) => write(data => {
+      const transactions = { ...data.transactions[tripId] };
+      updated.forEach(({ id, ...transaction }) => { transactions[id] = transaction; });
+      deletedIds.forEach(id => { delete transactions[id]; });
+      data.transactions[tripId] = transactions;
+      const templates = { ...data.recurring[tripId] };
+      updatedRecurring.forEach(({ id, ...template }) => { templates[id] = { ...templates[id], ...template }; });
+      data.recurring[tripId] = templates;
+      const memberTravelers = { ...data.trips[tripId]?.memberTravelers };
+      unlinkUserIds.forEach(uid => { delete memberTravelers[uid]; });
+      data.trips[tripId] = { ...data.trips[tripId], ...tripUpdates, memberTravelers };
+      delete data.travelers[tripId]?.[travelerId];
+    }),
+
+    // En local no hay nada pendiente de sincronizar
+    subscribeTransactions: (tripId, onChange, onError) => subscribe(
+      data => Object.entries(data.transactions[tripId] || {}).map(([id, t]) => withTransactionType(id, t)),
+      (transactions) => onChange(transactions, new Set()),
+      onError
+    ),
+
+    saveTransaction: (tripId, transaction, id = null) => write(data => {
+      const transactions = { ...data.transactions[tripId] };
+      if (id) {
+        transactions[id] = { ...transactions[id], ...transaction };
+      } else {
+        transactions[generateLocalId()] = transaction;
+      }
+      data.transactions[tripId] = transactions;
+    }),
+
+    deleteTransaction: (tripId, id) => write(data => {
+      delete data.transactions[tripId]?.[id];
+    }),
+
+    subscribeRecurring: (tripId, onChange, onError) => (
+      subscribe(data => toList(data.recurring[tripId]), onChange, onError)
+    ),
+
+    saveRecurring: (tripId, template, id = null) => write(data => {
+      const templates = { ...data.recurring[tripId] };
+      if (id) {
+        templates[id] = { ...templates[id], ...template };
+      } else {
+        templates[generateLocalId()] = template;
+      }
+      data.recurring[tripId] = templates;
+    }),
+
+    deleteRecurring: (tripId, id) => write(data => {
+      delete data.recurring[tripId]?.[id];
+    }),
+
+    materializeRecurring: (tripId, templateId, occurrences, materializedThrough) => write(data => {
+      const transactions = { ...data.transactions[tripId] };
+      occurrences.forEach(({ id, ...transaction }) => { transactions[id] = transaction; });
+      data.transactions[tripId] = transactions;
+      const templates = { ...data.recurring[tripId] };
+      templates[templateId] = { ...templates[templateId], materializedThrough };
+      data.recurring[tripId] = templates;
+    }),
+
+    newTravelerId: () => generateLocalId(),
+
+    importTransactions: (tripId, { travelers, transactions }) => write(data => {
+      const tripTravelers = { ...data.travelers[tripId] };
+      travelers.forEach(({ id, ...traveler }) => { tripTravelers[id] = traveler; });
+      data.travelers[tripId] = tripTravelers;
+      const tripTransactions = { ...data.transactions[tripId] };
+      transactions.forEach(transaction => { tripTransactions[generateLocalId()] = transaction; });
+      data.transactions[tripId] = tripTransactions;
+    }),
+
+    restoreTrip: (tripId, { trip, travelers, transactions, recurring = [] }) => write(data => {
+      data.trips[tripId] = { ...data.trips[tripId], ...trip };
+      data.travelers[tripId] = Object.fromEntries(travelers.map(({ id, ...traveler }) => [id, traveler]));
+      data.transactions[tripId] = Object.fromEntries(transactions.map(({ id, ...transaction }) => [id, transaction]));
+      data.recurring[tripId] = Object.fromEntries(recurring.map(({ id, ...template }) => [id, template]));
+    }),
+
+    migrateLegacyTrips: () => Promise.resolve(),
+
+    joinTrip: () => Promise.resolve(null),
+
+    linkTraveler: () => Promise.resolve(),
+
+    transferTrips: () => Promise.resolve(),
+  };
+};
@@ -1,60 +1,527 @@
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged, setPersistence, inMemoryPersistence } from 'firebase/auth';
-import { getFirestore, doc, addDoc, setDoc, deleteDoc, collection, onSnapshot, query, getDocs, setLogLevel } from 'firebase/firestore';
-import { Users, Plus, X, ArrowRight, BarChart2, Receipt, Home, DollarSign, Euro, Coins, Edit, Trash2, Loader, Send } from 'lucide-react';
+import {
+  getAuth, signInAnonymously, signInWithCustomToken, signInWithEmailAndPassword, signOut, onAuthStateChanged,
+  linkWithCredential, EmailAuthProvider, setPersistence, browserLocalPersistence, inMemoryPersistence, connectAuthEmulator,
+} from 'firebase/auth';
+import {
+  initializeFirestore, persistentLocalCache, persistentMultipleTabManager, connectFirestoreEmulator, setLogLevel,
+} from 'firebase/firestore';
+import {
+  getCurrencyDigits, toMinorUnits, fromMinorUnits, computeExpenseShares, getExpensePayers,
+  computeTripBalances, computeConsolidatedBalances, rebaseExchangeRates,
+} from './balances.js';
+import { createFirestoreRepository, createLocalRepository } from './repository.js';
+import {
+  buildTransactionsCsv, buildBalancesCsv, buildTransfersCsv,
+  parseCsv, isSplitwiseExport, guessColumnMapping, buildImportPreview, IMPORT_FIELDS,
+} from './csv.js';
+import { createTripBackup, parseTripBackup } from './backup.js';
+import {
+  getTripCategories, getExpenseCategoryId, computeSpendingBreakdown, computeTripStats, OTHER_CATEGORY_ID,
+} from './analytics.js';
+import { computeBudgetStatus, getBudgetAlerts, DEFAULT_BUDGET_WARN_AT } from './budget.js';
+import { RECURRENCE_FREQUENCIES, getPendingOccurrences, getNextOccurrenceDate } from './recurring.js';
+import { Users, Plus, X, ArrowRight, BarChart2, Receipt, Home, DollarSign, Euro, Coins, Edit, Trash2, Loader, Send, Settings, Scale, Check, Share2, Copy, UserPlus, UserCircle, LogOut, CloudOff, Download, Upload, AlertTriangle, ArchiveRestore, Printer, ArrowLeft, PieChart, BedDouble, Utensils, Bus, Ticket, Tag, Search, Filter, Archive, Target, Repeat, StopCircle } from 'lucide-react';
 
 // --- Configuración de Firebase ---
 const firebaseConfig = JSON.parse(typeof __firebase_config !== 'undefined' ? __firebase_config : '{}');
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
 const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+// Con `?emulator` en la URL (o `__use_emulators`) la app usa los emuladores locales de Firebase
+const useEmulators = typeof __use_emulators !== 'undefined'
+  ? __use_emulators
+  : new URLSearchParams(window.location.search).has('emulator');
 
-let db, auth;
-try {
-  const app = initializeApp(firebaseConfig);
-  db = getFirestore(app);
-  auth = getAuth(app);
-  setLogLevel('debug');
-  
-  // Usar persistencia en memoria para evitar problemas en iframes
-  setPersistence(auth, inMemoryPersistence);
-} catch (e) {
-  console.error("Error al inicializar Firebase:", e);
+// Almacenamiento: 'firestore' (viajes compartidos) o 'local' (solo este navegador, sin cuenta).
+// Se elige con `__storage_backend` o `?storage=local`; sin configuración de Firebase se usa 'local'.
+const storageBackend = typeof __storage_backend !== 'undefined'
+  ? __storage_backend
+  : new URLSearchParams(window.location.search).get('storage') || (firebaseConfig.projectId ? 'firestore' : 'local');
+// Usuario fijo del almacenamiento local, donde no hay autenticación
+const LOCAL_USER_ID = 'local';
+
+let db, auth, authPersistenceReady;
+if (storageBackend === 'firestore') {
+  try {
+    const app = initializeApp(firebaseConfig);
+    // Caché persistente en IndexedDB: los viajes se pueden leer y editar sin conexión y las
+    // escrituras pendientes se envían al reconectar (compartida entre pestañas)
+    db = initializeFirestore(app, {
+      localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+    });
+    auth = getAuth(app);
+    setLogLevel('debug');
+
+    if (useEmulators) {
+      connectFirestoreEmulator(db, 'localhost', 8080);
+      connectAuthEmulator(auth, 'http://localhost:9099');
+    }
+
+    // La sesión se guarda en el navegador para conservar el mismo uid entre recargas.
+    // En iframes sin acceso al almacenamiento se recurre a la persistencia en memoria.
+    authPersistenceReady = setPersistence(auth, browserLocalPersistence)
+      .catch(() => setPersistence(auth, inMemoryPersistence));
+  } catch (e) {
+    console.error("Error al inicializar Firebase, se usará el almacenamiento local:", e);
+    db = auth = undefined;
+  }
 }
 
+const repository = db ? createFirestoreRepository(db, appId) : createLocalRepository(appId);
+
 // --- Constantes ---
-const CURRENCIES = [
-  { code: 'USD', symbol: '$', name: 'Dólar (USD)' },
-  { code: 'COP', symbol: '$', name: 'Peso (COP)' },
-  { code: 'EUR', symbol: '€', name: 'Euro (EUR)' },
-  { code: 'VND', symbol: '₫', name: 'Dong (VND)' },
-  { code: 'THB', symbol: '฿', name: 'Baht (THB)' },
+// Monedas que tenían todos los viajes antes de que cada viaje definiera su propia lista.
+// Se usan para los viajes antiguos sin `currencies` y como valor inicial de los nuevos.
+const DEFAULT_CURRENCY_CODES = ['USD', 'COP', 'EUR', 'VND', 'THB'];
+
+// Tiempo para deshacer el borrado de un viaje antes de que se elimine de verdad
+const TRIP_DELETE_UNDO_MS = 8000;
+
+// Ajustes que se copian al duplicar un viaje (los viajeros se copian aparte)
+const DUPLICATED_TRIP_FIELDS = [
+  'destination', 'coverEmoji', 'coverColor', 'budget', 'currencies', 'baseCurrency', 'exchangeRates', 'customCategories',
 ];
 
-const CURRENCY_MAP = new Map(CURRENCIES.map(c => [c.code, c]));
+// Todos los códigos ISO 4217 que soporta el navegador (con respaldo para navegadores antiguos)
+const ALL_CURRENCY_CODES = typeof Intl.supportedValuesOf === 'function'
+  ? Intl.supportedValuesOf('currency')
+  : DEFAULT_CURRENCY_CODES;
+
+// --- Utilidades de Monedas ---
+const currencyNames = typeof Intl.DisplayNames === 'function'
+  ? new Intl.DisplayNames(['es'], { type: 'currency' })
+  : null;
+
+// Nombre legible de una moneda, p. ej. "yen japonés (JPY)"
+const getCurrencyName = (code) => {
+  const name = currencyNames?.of(code);
+  return name && name !== code ? `${name} (${code})` : code;
+};
+
+// Paso mínimo de los inputs de monto: 0.01 para USD, 1 para VND
+const getCurrencyStep = (code) => (1 / 10 ** getCurrencyDigits(code)).toFixed(getCurrencyDigits(code));
+
+// Redondea un monto a los decimales de su moneda
+const roundAmount = (amount, code) => parseFloat(amount.toFixed(getCurrencyDigits(code)));
+
+// Lista de monedas habilitadas en un viaje: [{ code, name }]
+const getTripCurrencies = (trip) => (
+  (trip?.currencies?.length ? trip.currencies : DEFAULT_CURRENCY_CODES).map(code => ({ code, name: getCurrencyName(code) }))
+);
+
+// Opciones para un selector de moneda: las del viaje más la ya elegida si no está en la lista
+// (p. ej. al editar una transacción en una moneda que luego se deshabilitó)
+const withCurrentCurrency = (currencies, code) => (
+  !code || currencies.some(c => c.code === code) ? currencies : [...currencies, { code, name: getCurrencyName(code) }]
+);
 
 // --- Utilidad para Formato de Números ---
 const formatNumber = (number, currencyCode = 'USD', locale = 'es-ES') => {
   if (typeof number !== 'number' || isNaN(number)) return '';
+  const digits = getCurrencyDigits(currencyCode);
   
   // Intl.NumberFormat es robusto para manejo de miles y decimales según la moneda
   return new Intl.NumberFormat(locale, { 
     style: 'currency', 
     currency: currencyCode,
-    minimumFractionDigits: 2,
-    maximumFractionDigits: 2,
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
   }).format(number);
 };
 
+// --- Utilidades para División de Gastos ---
+const SPLIT_MODES = [
+  { id: 'equal', label: 'Partes iguales' },
+  { id: 'exact', label: 'Montos exactos' },
+  { id: 'percentage', label: 'Porcentajes' },
+  { id: 'shares', label: 'Proporciones' },
+  { id: 'itemized', label: 'Por líneas' },
+];
+
+// Valida los aportes de varios pagadores. Devuelve un mensaje de error o null si suman el total.
+const validatePayers = (amount, currency, payerAmounts) => {
+  const values = Object.values(payerAmounts).map(v => parseFloat(v)).filter(v => !isNaN(v));
+  if (values.some(v => v < 0)) return 'Los aportes no pueden ser negativos.';
+  if (!values.some(v => v > 0)) return 'Al menos una persona debe haber pagado.';
+  const totalMinor = values.reduce((sum, v) => sum + toMinorUnits(v, currency), 0);
+  if (totalMinor !== toMinorUnits(amount, currency)) {
+    return `Los aportes suman ${formatNumber(fromMinorUnits(totalMinor, currency), currency)} pero el gasto es de ${formatNumber(amount || 0, currency)}.`;
+  }
+  return null;
+};
+
+// Valida los valores de división. Devuelve un mensaje de error o null si todo cuadra.
+const validateSplit = (amount, currency, splitMode, participants, splitValues) => {
+  if (participants.length === 0) return 'Al menos un viajero debe participar.';
+  if (splitMode === 'equal') return null;
+
+  const values = participants.map(id => parseFloat(splitValues[id]));
+  if (values.some(v => isNaN(v) || v < 0)) return 'Cada participante necesita un valor válido (no negativo).';
+  const total = values.reduce((sum, v) => sum + v, 0);
+
+  switch (splitMode) {
+    case 'exact': {
+      const totalMinor = values.reduce((sum, v) => sum + toMinorUnits(v, currency), 0);
+      if (totalMinor !== toMinorUnits(amount, currency)) {
+        return `Los montos suman ${formatNumber(fromMinorUnits(totalMinor, currency), currency)} pero el gasto es de ${formatNumber(amount || 0, currency)}.`;
+      }
+      return null;
+    }
+    case 'percentage':
+      if (Math.abs(total - 100) > 0.001) return `Los porcentajes suman ${total.toFixed(2)}% en lugar de 100%.`;
+      return null;
+    case 'shares':
+      if (total <= 0) return 'Las proporciones deben sumar más de cero.';
+      return null;
+    default:
+      return 'Modo de división desconocido.';
+  }
+};
+
+// --- Utilidades para Tickets por Líneas ---
+// En el modal, cada línea es { description, amount, travelerIds } con el monto en texto del input
+const EMPTY_RECEIPT_ITEM = { description: '', amount: '', travelerIds: [] };
+
+// Total del ticket (líneas + impuestos + propina), sumado en unidades menores
+const computeItemizedTotal = (items, tax, tip, currency) => fromMinorUnits(
+  [...items.map(item => item.amount), tax, tip].reduce((sum, value) => sum + toMinorUnits(parseFloat(value) || 0, currency), 0),
+  currency
+);
+
+// Valida las líneas del ticket. Devuelve un mensaje de error o null si todo cuadra.
+const validateItems = (items, tax, tip) => {
+  if (items.length === 0) return 'Añade al menos una línea al ticket.';
+  if (items.some(item => !(parseFloat(item.amount) > 0))) return 'Cada línea necesita un monto mayor que cero.';
+  if (items.some(item => item.travelerIds.length === 0)) return 'Cada línea debe tener al menos un viajero.';
+  if ([tax, tip].some(value => parseFloat(value) < 0)) return 'Los impuestos y la propina no pueden ser negativos.';
+  return null;
+};
+
+// Campos del ticket a guardar en el gasto. Devuelve nulls fuera del modo por líneas, para que
+// al editar se borre un desglose anterior.
+const buildItemizedFields = (splitMode, items, tax, tip) => {
+  if (splitMode !== 'itemized') return { items: null, tax: null, tip: null };
+  return {
+    items: items.map(item => ({
+      description: item.description.trim(),
+      amount: parseFloat(item.amount),
+      travelerIds: item.travelerIds,
+    })),
+    tax: parseFloat(tax) || 0,
+    tip: parseFloat(tip) || 0,
+  };
+};
+
+// --- Utilidades para Montos Cobrados en Otra Moneda ---
+// Estado inicial del bloque "cobrado en otra moneda" de los modales.
+// `mode` indica si el usuario escribe el monto cobrado o la tasa directamente.
+const initialChargeState = (transaction) => {
+  if (transaction?.chargedAmount > 0) {
+    return { currency: transaction.chargedCurrency, mode: 'amount', value: String(transaction.chargedAmount) };
+  }
+  if (transaction?.exchangeRate > 0) {
+    return { currency: transaction.chargedCurrency, mode: 'rate', value: String(transaction.exchangeRate) };
+  }
+  return { currency: '', mode: 'amount', value: '' };
+};
+
+// Campos de conversión a guardar en la transacción. Devuelve nulls cuando no aplica,
+// para que al editar se borre una conversión anterior.
+const buildChargeFields = (amount, currency, charge) => {
+  const value = parseFloat(charge.value);
+  if (!charge.currency || charge.currency === currency || !(value > 0) || !(amount > 0)) {
+    return { chargedCurrency: null, chargedAmount: null, exchangeRate: null };
+  }
+  const chargedAmount = charge.mode === 'amount' ? value : roundAmount(amount * value, charge.currency);
+  const exchangeRate = charge.mode === 'rate' ? value : value / amount;
+  return { chargedCurrency: charge.currency, chargedAmount, exchangeRate };
+};
+
+// --- Utilidades de Datos del Viaje ---
+// Datos descriptivos del viaje (además del nombre). En el formulario son textos; vacíos = sin dato.
+const EMPTY_TRIP_DETAILS = { destination: '', startDate: '', endDate: '', coverEmoji: '', coverColor: '' };
+
+const TRIP_COVER_EMOJIS = ['✈️', '🏖️', '🏔️', '🏙️', '🚗', '⛺', '🌴', '🎒'];
+
+// Colores de portada: clases completas para que Tailwind las incluya
+const TRIP_COVER_COLORS = {
+  blue: 'bg-blue-500',
+  indigo: 'bg-indigo-500',
+  green: 'bg-green-500',
+  yellow: 'bg-yellow-500',
+  red: 'bg-red-500',
+  pink: 'bg-pink-500',
+  gray: 'bg-gray-500',
+};
+
+const getTripDetails = (trip) => Object.fromEntries(
+  Object.keys(EMPTY_TRIP_DETAILS).map(field => [field, trip?.[field] || ''])
+);
+
+// Campos a guardar: los vacíos se guardan como null para borrar un valor anterior
+const buildTripDetailsFields = (details) => Object.fromEntries(
+  Object.keys(EMPTY_TRIP_DETAILS).map(field => [field, details[field].trim() || null])
+);
+
+const validateTripDetails = (details) => (
+  details.startDate && details.endDate && details.endDate < details.startDate
+    ? 'La fecha de fin no puede ser anterior a la de inicio.'
+    : null
+);
+
+// "3 may 2025 – 12 may 2025"; con una sola fecha, solo esa. Fechas YYYY-MM-DD, en UTC para no cambiar de día.
+const formatDateRange = (from, to) => {
+  const format = (date) => new Date(date).toLocaleDateString('es-ES', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+  if (from && to && from !== to) return `${format(from)} – ${format(to)}`;
+  return from || to ? format(from || to) : '';
+};
+
+// --- Utilidades de Presupuesto ---
+// Estado del presupuesto del viaje con las fechas, monedas y tasas del propio viaje
+const computeTripBudgetStatus = (trip, travelers, transactions, categories) => computeBudgetStatus({
+  budget: trip.budget,
+  travelers,
+  transactions,
+  categories,
+  baseCurrency: trip.baseCurrency,
+  exchangeRates: trip.exchangeRates,
+  startDate: trip.startDate,
+  endDate: trip.endDate,
+  today: new Date().toISOString().split('T')[0],
+});
+
+// Estado del formulario de presupuesto (montos como texto de los inputs)
+const getBudgetFormState = (budget) => ({
+  amount: budget?.amount ? String(budget.amount) : '',
+  currency: budget?.currency || '',
+  warnAt: String(budget?.warnAt || DEFAULT_BUDGET_WARN_AT),
+  categories: Object.fromEntries(Object.entries(budget?.categories || {}).map(([id, value]) => [id, String(value)])),
+  travelers: Object.fromEntries(Object.entries(budget?.travelers || {}).map(([id, value]) => [id, String(value)])),
+});
+
+// Presupuesto a guardar, o null si no hay ningún límite
+const buildBudget = (form, currency) => {
+  const positiveLimits = (values) => Object.fromEntries(
+    Object.entries(values).map(([id, value]) => [id, parseFloat(value)]).filter(([, value]) => value > 0)
+  );
+  const amount = parseFloat(form.amount);
+  const categories = positiveLimits(form.categories);
+  const travelers = positiveLimits(form.travelers);
+  if (!(amount > 0) && Object.keys(categories).length === 0 && Object.keys(travelers).length === 0) return null;
+  const warnAt = parseFloat(form.warnAt);
+  return {
+    currency,
+    amount: amount > 0 ? amount : null,
+    warnAt: warnAt > 0 && warnAt <= 100 ? warnAt : DEFAULT_BUDGET_WARN_AT,
+    categories,
+    travelers,
+  };
+};
+
+// --- Utilidades de Categorías ---
+// Icono de cada categoría por defecto; las personalizadas usan una etiqueta genérica
+const CATEGORY_ICONS = {
+  lodging: BedDouble,
+  food: Utensils,
+  transport: Bus,
+  activities: Ticket,
+};
+
+function CategoryIcon({ categoryId, className }) {
+  const Icon = CATEGORY_ICONS[categoryId] || Tag;
+  return <Icon className={className} />;
+}
+
+// --- Utilidades de Datos ---
+// Las escrituras se aplican al instante en local pero su promesa solo se resuelve cuando se
+// confirman (con Firestore sin conexión, al reconectar). Por eso los manejadores no la
+// esperan: la escritura queda en cola y solo se registra si se rechaza.
+const queueWrite = (write, errorMessage) => {
+  write.catch(error => console.error(errorMessage, error));
+};
+
+// Enlace que abre la app y une al viaje automáticamente
+const getInviteLink = (inviteCode) => `${window.location.origin}${window.location.pathname}?join=${inviteCode}`;
+
+// --- Utilidades de Cuenta ---
+const AUTH_ERROR_MESSAGES = {
+  'auth/invalid-email': 'El correo no es válido.',
+  'auth/missing-password': 'Introduce una contraseña.',
+  'auth/weak-password': 'La contraseña debe tener al menos 6 caracteres.',
+  'auth/email-already-in-use': 'Ese correo ya tiene una cuenta. Inicia sesión con él.',
+  'auth/credential-already-in-use': 'Ese correo ya tiene una cuenta. Inicia sesión con él.',
+  'auth/invalid-credential': 'Correo o contraseña incorrectos.',
+  'auth/wrong-password': 'Correo o contraseña incorrectos.',
+  'auth/user-not-found': 'Correo o contraseña incorrectos.',
+  'auth/too-many-requests': 'Demasiados intentos. Prueba de nuevo más tarde.',
+};
+
+const getAuthErrorMessage = (error) => AUTH_ERROR_MESSAGES[error?.code] || 'No se pudo completar la operación.';
+
+// --- Utilidades de Descarga ---
+// Descarga un texto como archivo. Los CSV llevan BOM para que Excel reconozca el UTF-8 (tildes, ñ).
+const downloadFile = (filename, content, mimeType = 'text/csv;charset=utf-8') => {
+  const bom = mimeType.startsWith('text/csv') ? '\uFEFF' : '';
+  const url = URL.createObjectURL(new Blob([bom + content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// Nombre de archivo a partir del nombre del viaje: "Viaje a Perú" -> "viaje-a-peru-balances.csv"
+const getExportFileName = (tripName, suffix, extension = 'csv') => {
+  const slug = (tripName || 'viaje')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${slug || 'viaje'}-${suffix}.${extension}`;
+};
+
+// --- Hooks ---
+// Estado de la conexión del navegador, actualizado con los eventos online/offline
+const useOnlineStatus = () => {
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+
+  useEffect(() => {
+    const update = () => setIsOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  return isOnline;
+};
+
+// Estrategia de liquidación: 'minimal' (menos transferencias) o 'greedy' (la original).
+// Se recuerda en el navegador y la comparten el resumen y el informe.
+const useSettlementStrategy = () => {
+  const [strategy, setStrategy] = useState(() => localStorage.getItem('settlementStrategy') || 'minimal');
+
+  const changeStrategy = useCallback((newStrategy) => {
+    setStrategy(newStrategy);
+    localStorage.setItem('settlementStrategy', newStrategy);
+  }, []);
+
+  return [strategy, changeStrategy];
+};
+
+// Cálculos del resumen del viaje (balances por moneda y consolidado en la moneda base).
+// Los usan tanto SummaryPage como el informe imprimible para que siempre coincidan.
+const useTripSummary = ({ travelers, transactions, trip, currencies, strategy }) => {
+  // Monedas del resumen: las habilitadas en el viaje más cualquier otra usada en transacciones
+  const summaryCurrencies = useMemo(() => (
+    transactions.reduce((list, t) => withCurrentCurrency(list, t.currency), currencies)
+  ), [currencies, transactions]);
+
+  const { totalsByTraveler, settlements, totalExpensesByCurrency } = useMemo(() => (
+    computeTripBalances({ travelers, transactions, currencies: summaryCurrencies.map(c => c.code), strategy })
+  ), [travelers, transactions, summaryCurrencies, strategy]); // Depende de todas las transacciones
+
+  // Vista consolidada: una única liquidación en la moneda base del viaje
+  const baseCurrency = trip?.baseCurrency;
+  const consolidated = useMemo(() => (
+    baseCurrency
+      ? computeConsolidatedBalances({ travelers, transactions, baseCurrency, exchangeRates: trip?.exchangeRates, strategy })
+      : null
+  ), [travelers, transactions, baseCurrency, trip?.exchangeRates, strategy]);
+
+  const travelerMap = useMemo(() => {
+    return new Map(travelers.map(t => [t.id, t.name]));
+  }, [travelers]);
+
+  return { summaryCurrencies, totalsByTraveler, settlements, totalExpensesByCurrency, baseCurrency, consolidated, travelerMap };
+};
+
+// Una moneda aparece en el resumen si tiene gastos o liquidaciones
+const hasCurrencyActivity = (code, totalExpensesByCurrency, transactions) => (
+  totalExpensesByCurrency[code] > 0 || transactions.some(t => t.currency === code && t.type === 'settlement')
+);
+
+// --- Utilidades de Viajeros ---
+// Indica si una transacción menciona a un viajero en cualquiera de sus campos
+const transactionReferencesTraveler = (transaction, travelerId) => {
+  if (transaction.type === 'settlement') {
+    return transaction.payerId === travelerId || transaction.receiverId === travelerId;
+  }
+  return transaction.paidBy === travelerId
+    || (transaction.payers || []).some(p => p.id === travelerId)
+    || (transaction.splitWith || []).includes(travelerId);
+};
+
+// Devuelve la transacción (sin id) con `fromId` sustituido por `toId`, conservando los balances:
+// aportes y valores de división se suman. Devuelve null si deja de tener sentido (una
+// liquidación de alguien a sí mismo) y debe borrarse.
+const reassignTravelerInTransaction = (transaction, fromId, toId) => {
+  const { id, ...data } = transaction;
+  const swap = (travelerId) => (travelerId === fromId ? toId : travelerId);
+
+  if (data.type === 'settlement') {
+    const payerId = swap(data.payerId);
+    const receiverId = swap(data.receiverId);
+    return payerId === receiverId ? null : { ...data, payerId, receiverId };
+  }
+
+  const payers = [];
+  for (const payer of getExpensePayers(data)) {
+    const existing = payers.find(p => p.id === swap(payer.id));
+    if (existing) existing.amount += payer.amount;
+    else payers.push({ id: swap(payer.id), amount: payer.amount });
+  }
+
+  const splitWith = Array.from(new Set((data.splitWith || []).map(swap)));
+  // En un ticket por líneas el que se queda puede aparecer dos veces en una misma línea: así
+  // asume las dos partes
+  const items = data.items?.map(item => ({ ...item, travelerIds: (item.travelerIds || []).map(swap) }));
+  let splitMode = data.splitMode || 'equal';
+  let splitValues = {};
+  if (splitMode === 'equal') {
+    // Si ambos participaban, el que se queda asume dos partes: se pasa a proporciones
+    if (splitWith.length < (data.splitWith || []).length) {
+      splitMode = 'shares';
+      (data.splitWith || []).forEach(travelerId => {
+        splitValues[swap(travelerId)] = (splitValues[swap(travelerId)] || 0) + 1;
+      });
+    }
+  } else {
+    Object.entries(data.splitValues || {}).forEach(([travelerId, value]) => {
+      splitValues[swap(travelerId)] = (splitValues[swap(travelerId)] || 0) + value;
+    });
+  }
+
+  return { ...data, paidBy: swap(data.paidBy), payers, splitWith, splitMode, splitValues, ...(items && { items }) };
+};
+
+// Presupuesto tras eliminar a `fromId`: su límite por viajero se suma al de `toId` si este
+// también tenía uno (asume sus gastos) y, si no, desaparece
+const reassignTravelerInBudget = (budget, fromId, toId) => {
+  const { [fromId]: limit, ...limits } = budget.travelers || {};
+  if (toId && limit > 0 && limits[toId] > 0) limits[toId] += limit;
+  return { ...budget, travelers: limits };
+};
+
 // --- Componente Principal: App ---
 export default function App() {
-  const [page, setPage] = useState('loading'); // loading, tripSelector, tripSetup, setup, expenses, summary
+  const [page, setPage] = useState('loading'); // loading, tripSelector, tripSetup, setup, expenses, summary, settings
   const [userId, setUserId] = useState(null);
   const [isAuthReady, setIsAuthReady] = useState(false);
+  const [account, setAccount] = useState(null); // { email, isAnonymous }
+  const [isMigrationDone, setIsMigrationDone] = useState(false);
+  const [isTransferringTrips, setIsTransferringTrips] = useState(false); // Pasando los viajes del invitado a la cuenta
   
-  const [trips, setTrips] = useState([]); // { id, name }
+  const [trips, setTrips] = useState([]); // { id, name, currencies, baseCurrency, exchangeRates, members, memberTravelers, inviteCode }
   const [travelers, setTravelers] = useState([]); // { id, name }
-  const [transactions, setTransactions] = useState([]); // { id, description, amount, currency, date, paidBy, splitWith, type: 'expense'/'settlement' }
+  const [transactions, setTransactions] = useState([]); // { id, description, amount, currency, date, paidBy, payers, splitWith, splitMode, splitValues, type: 'expense'/'settlement' }
+  const [pendingTransactionIds, setPendingTransactionIds] = useState(() => new Set()); // Aún sin confirmar por el servidor
+  const [recurring, setRecurring] = useState({ tripId: null, templates: [] }); // Gastos recurrentes del viaje `tripId`
+  const [tripStats, setTripStats] = useState({}); // { tripId -> resumen para el selector }
+  const isOnline = useOnlineStatus();
 
   // Componente de estado global para manejar el ID del viaje seleccionado.
   const [currentTripId, setCurrentTripId] = useState(() => localStorage.getItem('selectedTripId'));
@@ -63,17 +530,34 @@ export default function App() {
   const [isExpenseModalOpen, setIsExpenseModalOpen] = useState(false);
   const [isSettlementModalOpen, setIsSettlementModalOpen] = useState(false);
   const [editingTransaction, setEditingTransaction] = useState(null); // Transacción que se está editando
+  const [editingRecurring, setEditingRecurring] = useState(null); // Plantilla de gasto recurrente que se está editando
+
+  // Borrado de viajes con opción de deshacer: el viaje se oculta al instante y se borra al
+  // acabar el plazo. `deletedTripIdsRef` recuerda los viajes ocultos para no volver a
+  // seleccionarlos mientras Firestore los sigue enviando.
+  const [pendingTripDeletion, setPendingTripDeletion] = useState(null); // Viaje que se puede recuperar
+  const pendingTripDeletionRef = useRef(null); // { trip, timer }
+  const deletedTripIdsRef = useRef(new Set());
 
-  // 1. Efecto de Autenticación
+  // Gastos recurrentes con ocurrencias escribiéndose: { templateId -> última fecha }
+  const materializingRef = useRef(new Map());
+
+  // 1. Efecto de Autenticación (el almacenamiento local no tiene cuentas: usuario fijo)
   useEffect(() => {
-    if (!auth) return;
+    if (!auth) {
+      setUserId(LOCAL_USER_ID);
+      setIsAuthReady(true);
+      return;
+    }
 
     const unsubscribe = onAuthStateChanged(auth, async (user) => {
       if (user) {
         setUserId(user.uid);
+        setAccount({ email: user.email, isAnonymous: user.isAnonymous });
         setIsAuthReady(true);
       } else {
         try {
+          await authPersistenceReady;
           if (initialAuthToken) {
             await signInWithCustomToken(auth, initialAuthToken);
           } else {
@@ -88,37 +572,46 @@ export default function App() {
     return () => unsubscribe();
   }, []);
 
-  // 2. Efecto para Cargar Viajes (CORREGIDO el error de asignación de constante)
+  // 1b. Migrar los viajes de la ruta antigua por usuario antes de escuchar los compartidos
+  useEffect(() => {
+    if (!isAuthReady || !userId) return;
+    setIsMigrationDone(false);
+    repository.migrateLegacyTrips(userId)
+      .catch(error => console.error("Error al migrar viajes antiguos:", error))
+      .finally(() => setIsMigrationDone(true));
+  }, [isAuthReady, repository, userId]);
+
+  // 2. Efecto para Cargar Viajes (los compartidos en los que el usuario es miembro). Mientras
+  // se transfieren los viajes del invitado a la cuenta no se escucha: la cuenta todavía no es
+  // miembro y se mandaría al usuario a crear su primer viaje.
   useEffect(() => {
-    if (!isAuthReady || !db || !userId) return;
-
-    const tripsPath = `artifacts/${appId}/users/${userId}/trips`;
-    const q = query(collection(db, tripsPath));
-    const unsubscribe = onSnapshot(q, (snapshot) => {
-      const fetchedTrips = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
+    if (!isAuthReady || !userId || !isMigrationDone || isTransferringTrips) return;
+
+    const unsubscribe = repository.subscribeTrips(userId, (fetchedTrips) => {
       setTrips(fetchedTrips);
       
       let newSelectedTripId = null;
       const storedTripId = localStorage.getItem('selectedTripId');
+      const selectableTrips = fetchedTrips.filter(t => !deletedTripIdsRef.current.has(t.id));
 
       // 1. Intentar usar el viaje guardado si existe y es válido
-      if (storedTripId && fetchedTrips.some(t => t.id === storedTripId)) {
+      if (storedTripId && selectableTrips.some(t => t.id === storedTripId)) {
         newSelectedTripId = storedTripId;
-      // 2. Si no hay viaje guardado o no es válido, intentar usar el primer viaje disponible
-      } else if (fetchedTrips.length > 0) {
-         newSelectedTripId = fetchedTrips[0].id;
+      // 2. Si no hay viaje guardado o no es válido, intentar usar el primer viaje disponible (mejor si no está archivado)
+      } else if (selectableTrips.length > 0) {
+         newSelectedTripId = (selectableTrips.find(t => !t.archived) || selectableTrips[0]).id;
          localStorage.setItem('selectedTripId', newSelectedTripId);
       } 
       
       // 3. Actualizar estado y página según el resultado de la selección
       if (newSelectedTripId && newSelectedTripId !== currentTripId) {
           setCurrentTripId(newSelectedTripId);
+          // Si se estaba en la pantalla del primer viaje (sin barra de navegación), se sale de
+          // ella: el efecto de viajeros elige la página al cargar
+          setPage(prev => (prev === 'tripSetup' ? 'loading' : prev));
       } else if (!newSelectedTripId) {
         setCurrentTripId(null);
-        if (fetchedTrips.length === 0) {
+        if (selectableTrips.length === 0) {
             // No hay viajes, ir a configuración de viaje
             setPage('tripSetup');
         } else {
@@ -136,22 +629,16 @@ export default function App() {
 
     // Se han ajustado las dependencias para evitar warnings y bucles.
     return () => unsubscribe();
-  }, [isAuthReady, db, userId, currentTripId, setCurrentTripId, setPage]); 
+  }, [isAuthReady, repository, userId, isMigrationDone, isTransferringTrips, currentTripId, setCurrentTripId, setPage]); 
 
   // 3. Efecto para Cargar Viajeros (depende del viaje seleccionado)
   useEffect(() => {
-    if (!isAuthReady || !db || !userId || !currentTripId) {
+    if (!isAuthReady || !userId || !currentTripId) {
       setTravelers([]); 
       return;
     }
 
-    const travelersPath = `artifacts/${appId}/users/${userId}/trips/${currentTripId}/travelers`;
-    const q = query(collection(db, travelersPath));
-    const unsubscribe = onSnapshot(q, (snapshot) => {
-      const fetchedTravelers = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
+    const unsubscribe = repository.subscribeTravelers(currentTripId, (fetchedTravelers) => {
       setTravelers(fetchedTravelers);
       
       if (page === 'loading') { 
@@ -167,48 +654,210 @@ export default function App() {
     });
 
     return () => unsubscribe();
-  }, [isAuthReady, db, userId, currentTripId, page]); 
+  }, [isAuthReady, repository, userId, currentTripId, page]); 
 
   // 4. Efecto para Cargar Transacciones (Gastos y Liquidaciones)
   useEffect(() => {
-    if (!isAuthReady || !db || !userId || !currentTripId) {
+    if (!isAuthReady || !userId || !currentTripId) {
       setTransactions([]); 
       return;
     }
 
-    // Nota: Mantenemos el nombre de la colección 'expenses' por compatibilidad con datos existentes, 
-    // pero internamente manejamos como 'transactions'.
-    const transactionsPath = `artifacts/${appId}/users/${userId}/trips/${currentTripId}/expenses`; 
-    const q = query(collection(db, transactionsPath));
-    const unsubscribe = onSnapshot(q, (snapshot) => {
-      const fetchedTransactions = snapshot.docs.map(doc => ({
-        id: doc.id,
-        // Si el tipo no está definido (datos viejos), asumimos que es un 'expense'
-        type: doc.data().type || 'expense', 
-        ...doc.data()
-      }));
+    const unsubscribe = repository.subscribeTransactions(currentTripId, (fetchedTransactions, pendingIds) => {
       setTransactions(fetchedTransactions);
+      setPendingTransactionIds(pendingIds);
     }, (error) => {
       console.error("Error al cargar transacciones: ", error);
     });
 
     return () => unsubscribe();
-  }, [isAuthReady, db, userId, currentTripId]);
+  }, [isAuthReady, repository, userId, currentTripId]);
+
+  // 4b. Efecto para Cargar los Gastos Recurrentes. Se guardan junto al viaje al que pertenecen
+  // para no materializar las plantillas de un viaje en otro mientras llega la nueva lista.
+  useEffect(() => {
+    if (!isAuthReady || !userId || !currentTripId) return;
+
+    const unsubscribe = repository.subscribeRecurring(currentTripId, (templates) => {
+      setRecurring({ tripId: currentTripId, templates });
+    }, (error) => {
+      console.error("Error al cargar gastos recurrentes: ", error);
+    });
+
+    return () => unsubscribe();
+  }, [isAuthReady, repository, userId, currentTripId]);
+
+  const recurringTemplates = recurring.tripId === currentTripId ? recurring.templates : [];
+
+  // 4c. Crear como gastos las ocurrencias de los gastos recurrentes que ya tocan (hasta hoy).
+  // Cualquier dispositivo puede hacerlo: cada ocurrencia tiene un id fijo, así que dos
+  // dispositivos escriben el mismo documento, y `materializedThrough` evita recrear las que
+  // el usuario ya editó o borró. Las que ya existen en la lista no se sobrescriben.
+  // Hasta que la plantilla vuelve con su nuevo `materializedThrough` el efecto se repite con
+  // cada cambio de transacciones; `materializingRef` evita escribir de nuevo lo que está en curso.
+  useEffect(() => {
+    if (!userId || recurring.tripId !== currentTripId) return;
+    const today = new Date().toISOString().split('T')[0];
+    const existingIds = new Set(transactions.map(t => t.id));
+    const createdAt = Date.now();
+
+    for (const template of recurring.templates) {
+      const pending = getPendingOccurrences(template.id, template, today);
+      if (pending.length === 0) continue;
+      const materializedThrough = pending[pending.length - 1].date;
+      if (materializingRef.current.get(template.id) >= materializedThrough) continue;
+      const occurrences = pending
+        .filter(occurrence => !existingIds.has(occurrence.id))
+        .map((occurrence, index) => ({ ...occurrence, createdAt: createdAt + index }));
+      const written = repository.materializeRecurring(currentTripId, template.id, occurrences, materializedThrough);
+      materializingRef.current.set(template.id, materializedThrough);
+      // Si la escritura falla se vuelve a intentar en la siguiente ejecución del efecto
+      const release = () => {
+        if (materializingRef.current.get(template.id) === materializedThrough) materializingRef.current.delete(template.id);
+      };
+      written.then(release, release);
+      queueWrite(written, "Error al crear gastos recurrentes:");
+    }
+  }, [repository, userId, currentTripId, recurring, transactions]);
+
+  // 5. Estadísticas de cada viaje para las tarjetas del selector. Solo se escuchan los
+  // viajeros y transacciones de todos los viajes mientras el selector está a la vista.
+  const tripIdsKey = trips.map(t => t.id).join(',');
+  useEffect(() => {
+    if (!isAuthReady || !userId || page !== 'tripSelector' || !tripIdsKey) return;
+
+    const tripData = {}; // { tripId -> { travelers, transactions } }
+    const update = (tripId, field, value) => {
+      tripData[tripId] = { ...tripData[tripId], [field]: value };
+      const { travelers: tripTravelers, transactions: tripTransactions } = tripData[tripId];
+      if (tripTravelers && tripTransactions) {
+        const stats = computeTripStats({ travelers: tripTravelers, transactions: tripTransactions });
+        setTripStats(prev => ({ ...prev, [tripId]: stats }));
+      }
+    };
+    const onError = (error) => console.error("Error al cargar estadísticas del viaje: ", error);
+
+    const unsubscribes = tripIdsKey.split(',').flatMap(tripId => [
+      repository.subscribeTravelers(tripId, (fetched) => update(tripId, 'travelers', fetched), onError),
+      repository.subscribeTransactions(tripId, (fetched) => update(tripId, 'transactions', fetched), onError),
+    ]);
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [isAuthReady, repository, userId, page, tripIdsKey]);
+
+  // --- Funciones de Datos (a través del repositorio) ---
+
+  const handleCreateTrip = useCallback((tripName, details = EMPTY_TRIP_DETAILS) => {
+    if (!userId) return;
+    const { id: newTripId, written } = repository.createTrip(userId, {
+      name: tripName,
+      currencies: DEFAULT_CURRENCY_CODES,
+      ...buildTripDetailsFields(details),
+    });
+    queueWrite(written, "Error al crear viaje:");
+    setCurrentTripId(newTripId);
+    localStorage.setItem('selectedTripId', newTripId); 
+    setPage('setup'); 
+  }, [repository, userId]);
+
+  // Une al usuario a un viaje compartido a partir de su código de invitación.
+  // Devuelve true si el código era válido.
+  const handleJoinTrip = useCallback(async (inviteCode) => {
+    if (!userId || !repository.supportsSharing) return false;
+    const code = inviteCode.trim().toUpperCase();
+    try {
+      const tripId = await repository.joinTrip(userId, code);
+      if (!tripId) {
+        console.error("Código de invitación no válido:", code);
+        return false;
+      }
+      setTransactions([]); 
+      setTravelers([]); 
+      setCurrentTripId(tripId);
+      localStorage.setItem('selectedTripId', tripId);
+      setPage('loading');
+      return true;
+    } catch (error) {
+      console.error("Error al unirse al viaje:", error);
+      return false;
+    }
+  }, [repository, userId]);
 
-  // --- Funciones de Firestore ---
+  // Convierte la sesión anónima en una cuenta con correo y contraseña. El uid no cambia,
+  // así que los viajes siguen siendo accesibles sin migrar nada.
+  // Devuelve null si todo fue bien o el mensaje de error a mostrar.
+  const handleLinkAccount = useCallback(async (email, password) => {
+    if (!auth?.currentUser) return getAuthErrorMessage(null);
+    try {
+      const { user } = await linkWithCredential(auth.currentUser, EmailAuthProvider.credential(email, password));
+      // onAuthStateChanged no se dispara al vincular, así que se actualiza la identidad a mano
+      setAccount({ email: user.email, isAnonymous: false });
+      return null;
+    } catch (error) {
+      console.error("Error al vincular la cuenta:", error);
+      return getAuthErrorMessage(error);
+    }
+  }, [auth]);
+
+  // Inicia sesión con una cuenta existente. Si la sesión actual es anónima, sus viajes
+  // se transfieren a la cuenta para no perderlos.
+  const handleSignIn = useCallback(async (email, password) => {
+    const previousUser = auth?.currentUser;
+    const tripsToTransfer = previousUser?.isAnonymous
+      ? trips.filter(t => (t.members || []).includes(previousUser.uid))
+      : [];
+    // Se marca antes de iniciar sesión: el cambio de usuario dispara la carga de viajes
+    setIsTransferringTrips(tripsToTransfer.length > 0);
+    try {
+      const { user } = await signInWithEmailAndPassword(auth, email, password);
+      if (tripsToTransfer.length > 0 && user.uid !== previousUser.uid) {
+        await repository.transferTrips(previousUser.uid, user.uid, tripsToTransfer);
+      }
+      return null;
+    } catch (error) {
+      console.error("Error al iniciar sesión:", error);
+      return getAuthErrorMessage(error);
+    } finally {
+      setIsTransferringTrips(false);
+    }
+  }, [auth, repository, trips]);
 
-  const handleCreateTrip = useCallback(async (tripName) => {
-    if (!db || !userId) return;
+  // Al cerrar sesión se vuelve a entrar como invitado anónimo (ver el efecto de autenticación)
+  const handleSignOut = useCallback(async () => {
     try {
-      const tripsPath = `artifacts/${appId}/users/${userId}/trips`;
-      const newTripRef = await addDoc(collection(db, tripsPath), { name: tripName });
-      setCurrentTripId(newTripRef.id);
-      localStorage.setItem('selectedTripId', newTripRef.id); 
-      setPage('setup'); 
+      localStorage.removeItem('selectedTripId');
+      setCurrentTripId(null);
+      setTrips([]);
+      setPage('loading');
+      await signOut(auth);
     } catch (error) {
-      console.error("Error al crear viaje:", error);
+      console.error("Error al cerrar sesión:", error);
     }
-  }, [db, userId, appId]);
+  }, [auth]);
+
+  // Vincula al usuario actual con uno de los viajeros del viaje ("soy yo")
+  const handleLinkTraveler = useCallback((travelerId) => {
+    if (!userId || !currentTripId) return;
+    queueWrite(repository.linkTraveler(currentTripId, userId, travelerId), "Error al vincular viajero:");
+  }, [repository, userId, currentTripId]);
+
+  // 5. Unirse automáticamente si la app se abrió con un enlace de invitación (?join=CÓDIGO)
+  useEffect(() => {
+    if (!isMigrationDone) return;
+    const params = new URLSearchParams(window.location.search);
+    const joinCode = params.get('join');
+    if (!joinCode) return;
+    params.delete('join');
+    const search = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${search ? `?${search}` : ''}`);
+    handleJoinTrip(joinCode);
+  }, [isMigrationDone, handleJoinTrip]);
+
+  // Actualiza campos del viaje actual (moneda base, tasas de cambio...).
+  // Los campos se reemplazan completos, así que los mapas como `exchangeRates` no se mezclan.
+  const handleUpdateTrip = useCallback((updates) => {
+    if (!userId || !currentTripId) return;
+    queueWrite(repository.updateTrip(currentTripId, updates), "Error al actualizar viaje:");
+  }, [repository, userId, currentTripId]);
 
   const handleSelectTrip = useCallback((tripId) => {
     setTransactions([]); 
@@ -218,80 +867,216 @@ export default function App() {
     setPage('loading'); 
   }, []);
 
+  // Restaura una copia de seguridad sobre el viaje `tripId` o, sin él, en un viaje nuevo.
+  // Los campos que la copia no trae vuelven a su valor inicial para que el viaje quede igual que la copia.
+  const handleRestoreBackup = useCallback((backup, tripId = null) => {
+    if (!userId) return;
+    const tripData = { currencies: DEFAULT_CURRENCY_CODES, baseCurrency: null, exchangeRates: {}, customCategories: [], ...backup.trip };
+    let targetTripId = tripId;
+    let tripReady = Promise.resolve();
+    if (!targetTripId) {
+      // El viaje nuevo tiene que existir antes de leer y escribir sus viajeros y transacciones
+      const { id, written } = repository.createTrip(userId, { name: tripData.name, currencies: tripData.currencies });
+      targetTripId = id;
+      tripReady = written;
+    }
+    queueWrite(
+      tripReady.then(() => repository.restoreTrip(targetTripId, { ...backup, trip: tripData })),
+      "Error al restaurar la copia de seguridad:"
+    );
+    handleSelectTrip(targetTripId);
+  }, [repository, userId, handleSelectTrip]);
+
   const handleGoToTrips = useCallback(() => {
     setCurrentTripId(null);
     localStorage.removeItem('selectedTripId');
     setPage('tripSelector');
   }, []);
 
-  const handleSaveTravelers = useCallback(async (names) => {
-    if (!db || !userId || !currentTripId) return;
-    try {
-      const travelersPath = `artifacts/${appId}/users/${userId}/trips/${currentTripId}/travelers`;
-      
-      const validAndUniqueNames = Array.from(new Set(names.map(name => name.trim()).filter(name => name)));
-
-      if (validAndUniqueNames.length < 2) {
-          console.error('Se requieren al menos dos nombres de viajeros únicos.'); 
-          return;
-      }
-      
-      const existingTravelers = await getDocs(collection(db, travelersPath));
-      const deletePromises = existingTravelers.docs.map(d => deleteDoc(doc(db, travelersPath, d.id)));
-      await Promise.all(deletePromises);
-      
-      const addPromises = validAndUniqueNames.map(name => 
-        addDoc(collection(db, travelersPath), { name })
-      );
-      await Promise.all(addPromises);
+  // --- Gestión de Viajes (renombrar, archivar, borrar, duplicar) ---
+  const handleRenameTrip = useCallback((tripId, name) => {
+    if (!userId) return;
+    queueWrite(repository.updateTrip(tripId, { name }), "Error al renombrar viaje:");
+  }, [repository, userId]);
 
-      setPage('expenses');
+  const handleArchiveTrip = useCallback((tripId, archived) => {
+    if (!userId) return;
+    queueWrite(repository.updateTrip(tripId, { archived }), "Error al archivar viaje:");
+  }, [repository, userId]);
 
-    } catch (error) {
-      console.error("Error al guardar viajeros:", error);
+  // Oculta el viaje y programa su borrado. Un borrado anterior aún pendiente se ejecuta ya.
+  // Si la página se cierra antes del plazo, el viaje no se borra.
+  const handleDeleteTrip = useCallback((trip) => {
+    if (!userId) return;
+    const previous = pendingTripDeletionRef.current;
+    if (previous) {
+      clearTimeout(previous.timer);
+      queueWrite(repository.deleteTrip(previous.trip.id), "Error al eliminar viaje:");
     }
-  }, [db, userId, currentTripId, appId]);
+    const timer = setTimeout(() => {
+      pendingTripDeletionRef.current = null;
+      setPendingTripDeletion(null);
+      queueWrite(repository.deleteTrip(trip.id), "Error al eliminar viaje:");
+    }, TRIP_DELETE_UNDO_MS);
+    pendingTripDeletionRef.current = { trip, timer };
+    setPendingTripDeletion(trip);
+    deletedTripIdsRef.current.add(trip.id);
+    if (localStorage.getItem('selectedTripId') === trip.id) localStorage.removeItem('selectedTripId');
+    if (currentTripId === trip.id) setCurrentTripId(null);
+  }, [repository, userId, currentTripId]);
 
-  // Función para añadir o actualizar una transacción (Gasto o Liquidación)
-  const handleSaveTransaction = useCallback(async (transaction, id = null) => {
-    if (!db || !userId || !currentTripId) return;
-    try {
-      const transactionsPath = `artifacts/${appId}/users/${userId}/trips/${currentTripId}/expenses`;
-      
-      if (id) {
-        // Actualizar transacción
-        await setDoc(doc(db, transactionsPath, id), transaction, { merge: true });
-        console.log("Transacción actualizada con ID:", id);
+  const handleUndoDeleteTrip = useCallback(() => {
+    const pending = pendingTripDeletionRef.current;
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    deletedTripIdsRef.current.delete(pending.trip.id);
+    pendingTripDeletionRef.current = null;
+    setPendingTripDeletion(null);
+  }, []);
+
+  // Viaje nuevo con los mismos ajustes y viajeros, pero sin transacciones
+  const handleDuplicateTrip = useCallback((trip) => {
+    if (!userId) return;
+    const data = { name: `${trip.name} (copia)` };
+    DUPLICATED_TRIP_FIELDS.forEach(field => {
+      if (trip[field] !== undefined) data[field] = trip[field];
+    });
+    const { written } = repository.duplicateTrip(userId, trip.id, data);
+    queueWrite(written, "Error al duplicar viaje:");
+  }, [repository, userId]);
+
+  // Los viajeros se añaden, renombran y eliminan uno a uno para conservar sus ids, que son
+  // los que referencian las transacciones (paidBy, payers, splitWith, payerId, receiverId).
+  const handleAddTraveler = useCallback((name) => {
+    if (!userId || !currentTripId) return;
+    queueWrite(repository.addTraveler(currentTripId, { name }), "Error al añadir viajero:");
+  }, [repository, userId, currentTripId]);
+
+  const handleRenameTraveler = useCallback((travelerId, name) => {
+    if (!userId || !currentTripId) return;
+    queueWrite(repository.updateTraveler(currentTripId, travelerId, { name }), "Error al renombrar viajero:");
+  }, [repository, userId, currentTripId]);
+
+  // Elimina un viajero. Si aparece en transacciones, exige `reassignToId`: sus transacciones
+  // pasan a ese viajero en la misma escritura para no dejar ids huérfanos.
+  const handleRemoveTraveler = useCallback((travelerId, reassignToId = null) => {
+    if (!userId || !currentTripId) return;
+    const affected = transactions.filter(t => transactionReferencesTraveler(t, travelerId));
+    const affectedTemplates = recurringTemplates.filter(t => transactionReferencesTraveler(t, travelerId));
+    if (affected.length + affectedTemplates.length > 0 && (!reassignToId || reassignToId === travelerId)) {
+      console.error("El viajero aparece en transacciones; elige a quién reasignarlas antes de eliminarlo.");
+      return;
+    }
+    const trip = trips.find(t => t.id === currentTripId);
+    const changes = {
+      updated: [],
+      deletedIds: [],
+      // Los gastos recurrentes también se reasignan para que sus próximas ocurrencias no lo incluyan
+      updatedRecurring: affectedTemplates.map(template => ({
+        id: template.id,
+        ...reassignTravelerInTransaction(template, travelerId, reassignToId),
+      })),
+      // Los miembros que se identificaban con él dejan de estarlo (no pasan a ser otro viajero)
+      unlinkUserIds: Object.entries(trip?.memberTravelers || {})
+        .filter(([, linkedId]) => linkedId === travelerId)
+        .map(([uid]) => uid),
+      tripUpdates: trip?.budget?.travelers?.[travelerId] !== undefined
+        ? { budget: reassignTravelerInBudget(trip.budget, travelerId, reassignToId) }
+        : {},
+    };
+    for (const transaction of affected) {
+      const updated = reassignTravelerInTransaction(transaction, travelerId, reassignToId);
+      if (updated) {
+        changes.updated.push({ id: transaction.id, ...updated });
       } else {
-        // Añadir nueva transacción
-        await addDoc(collection(db, transactionsPath), transaction);
-        console.log("Nueva transacción añadida.");
+        changes.deletedIds.push(transaction.id);
       }
-      setIsExpenseModalOpen(false); 
-      setIsSettlementModalOpen(false);
-      setEditingTransaction(null);
-    } catch (error) {
-      console.error("Error al guardar/actualizar transacción:", error);
     }
-  }, [db, userId, currentTripId, appId]);
+    queueWrite(repository.removeTraveler(currentTripId, travelerId, changes), "Error al eliminar viajero:");
+  }, [repository, userId, currentTripId, trips, transactions, recurringTemplates]);
 
-  // Función para eliminar una transacción
-  const handleDeleteTransaction = useCallback(async (id) => {
-    if (!db || !userId || !currentTripId) return;
-    
-    try {
-      const transactionsPath = `artifacts/${appId}/users/${userId}/trips/${currentTripId}/expenses`;
-      const docRef = doc(db, transactionsPath, id);
-      await deleteDoc(docRef); 
-      console.log(`Transacción ${id} eliminada correctamente.`);
-    } catch (error) {
-      console.error("Error al eliminar transacción:", error);
+  // Función para añadir o actualizar una transacción (Gasto o Liquidación)
+  // La escritura se aplica en local y se encola, así que el modal se cierra aunque no haya conexión
+  const handleSaveTransaction = useCallback((transaction, id = null) => {
+    if (!userId || !currentTripId) return;
+    // Con `id` se actualiza la transacción existente; sin él se añade una nueva, con su
+    // momento de creación para poder ordenar el historial por orden de alta
+    const data = id ? transaction : { ...transaction, createdAt: Date.now() };
+    queueWrite(repository.saveTransaction(currentTripId, data, id), "Error al guardar/actualizar transacción:");
+    setIsExpenseModalOpen(false); 
+    setIsSettlementModalOpen(false);
+    setEditingTransaction(null);
+  }, [repository, userId, currentTripId]);
+
+  // Importa transacciones de un CSV: crea los viajeros nuevos y guarda todo de una vez.
+  // Las monedas importadas que el viaje no tenía habilitadas se añaden a su lista.
+  const handleImportTransactions = useCallback((newTravelers, importedTransactions) => {
+    if (!userId || !currentTripId) return;
+    const createdAt = Date.now();
+    queueWrite(
+      repository.importTransactions(currentTripId, {
+        travelers: newTravelers,
+        // Se conserva el orden del archivo al ordenar por momento de creación
+        transactions: importedTransactions.map((t, index) => ({ ...t, createdAt: createdAt + index })),
+      }),
+      "Error al importar transacciones:"
+    );
+    const tripCurrencyCodes = getTripCurrencies(trips.find(t => t.id === currentTripId)).map(c => c.code);
+    const newCurrencyCodes = Array.from(new Set(importedTransactions.map(t => t.currency)))
+      .filter(code => !tripCurrencyCodes.includes(code));
+    if (newCurrencyCodes.length > 0) {
+      queueWrite(
+        repository.updateTrip(currentTripId, { currencies: [...tripCurrencyCodes, ...newCurrencyCodes] }),
+        "Error al actualizar viaje:"
+      );
     }
-  }, [db, userId, currentTripId, appId]);
+  }, [repository, userId, currentTripId, trips]);
+
+  const generateTravelerId = useCallback(() => repository.newTravelerId(currentTripId), [repository, currentTripId]);
+
+  // --- Gastos Recurrentes ---
+  // Guarda una plantilla (nueva o editada). Sus ocurrencias las crea el efecto 4c; al editar,
+  // los cambios solo afectan a las que aún no se han creado.
+  const handleSaveRecurring = useCallback((template, id = null) => {
+    if (!userId || !currentTripId) return;
+    const data = id ? template : { ...template, createdAt: Date.now() };
+    queueWrite(repository.saveRecurring(currentTripId, data, id), "Error al guardar gasto recurrente:");
+    setIsExpenseModalOpen(false);
+    setEditingRecurring(null);
+  }, [repository, userId, currentTripId]);
+
+  // Detiene la serie: no se crean más ocurrencias después de hoy
+  const handleStopRecurring = useCallback((id) => {
+    if (!userId || !currentTripId) return;
+    const today = new Date().toISOString().split('T')[0];
+    // El fin no puede quedar antes del inicio de una serie que aún no ha empezado
+    const startDate = recurringTemplates.find(t => t.id === id)?.startDate;
+    const endDate = startDate && startDate > today ? startDate : today;
+    queueWrite(repository.saveRecurring(currentTripId, { endDate }, id), "Error al detener gasto recurrente:");
+  }, [repository, userId, currentTripId, recurringTemplates]);
+
+  // Borra la plantilla; los gastos que ya creó se quedan en el historial
+  const handleDeleteRecurring = useCallback((id) => {
+    if (!userId || !currentTripId) return;
+    queueWrite(repository.deleteRecurring(currentTripId, id), "Error al eliminar gasto recurrente:");
+  }, [repository, userId, currentTripId]);
+
+  // Función para eliminar una transacción
+  const handleDeleteTransaction = useCallback((id) => {
+    if (!userId || !currentTripId) return;
+    queueWrite(repository.deleteTransaction(currentTripId, id), "Error al eliminar transacción:");
+  }, [repository, userId, currentTripId]);
 
   // Funciones para los Modales
   const openExpenseModal = () => {
     setEditingTransaction(null);
+    setEditingRecurring(null);
+    setIsExpenseModalOpen(true);
+  };
+
+  const openEditRecurringModal = (template) => {
+    setEditingTransaction(null);
+    setEditingRecurring(template);
     setIsExpenseModalOpen(true);
   };
   
@@ -313,11 +1098,28 @@ export default function App() {
     setIsExpenseModalOpen(false);
     setIsSettlementModalOpen(false);
     setEditingTransaction(null);
+    setEditingRecurring(null);
   };
 
 
   // --- Renderizado ---
   const selectedTrip = useMemo(() => trips.find(t => t.id === currentTripId), [trips, currentTripId]);
+  const tripCurrencies = useMemo(() => getTripCurrencies(selectedTrip), [selectedTrip]);
+  const tripCategories = useMemo(() => getTripCategories(selectedTrip), [selectedTrip]);
+
+  // Límites del presupuesto que cruzaría un gasto al guardarse (nuevo o editado)
+  const checkExpenseBudget = useCallback((expense, id = null) => {
+    if (!selectedTrip?.budget) return [];
+    const withExpense = [...transactions.filter(t => t.id !== id), { ...expense, id: id || 'nuevo' }];
+    return getBudgetAlerts(
+      computeTripBudgetStatus(selectedTrip, travelers, transactions, tripCategories),
+      computeTripBudgetStatus(selectedTrip, travelers, withExpense, tripCategories)
+    );
+  }, [selectedTrip, travelers, transactions, tripCategories]);
+  // Viajero con el que el usuario actual se identificó en el viaje compartido
+  const linkedTravelerId = travelers.some(t => t.id === selectedTrip?.memberTravelers?.[userId])
+    ? selectedTrip.memberTravelers[userId]
+    : null;
 
   const renderPage = () => {
     if (page === 'loading' || !isAuthReady) {
@@ -326,24 +1128,99 @@ export default function App() {
     
     switch (page) {
       case 'tripSetup':
-        return <TripSetup onCreateTrip={handleCreateTrip} />;
+        return <TripSetup onCreateTrip={handleCreateTrip} onJoinTrip={repository.supportsSharing ? handleJoinTrip : null} />;
       case 'tripSelector':
-        return <TripSelector trips={trips} onSelectTrip={handleSelectTrip} onCreateTrip={() => setPage('tripSetup')} />;
+        return (
+          <TripSelector
+            trips={trips.filter(t => !deletedTripIdsRef.current.has(t.id))}
+            tripStats={tripStats}
+            onSelectTrip={handleSelectTrip}
+            onCreateTrip={() => setPage('tripSetup')}
+            onJoinTrip={repository.supportsSharing ? handleJoinTrip : null}
+            onRestoreBackup={handleRestoreBackup}
+            onRenameTrip={handleRenameTrip}
+            onArchiveTrip={handleArchiveTrip}
+            onDeleteTrip={handleDeleteTrip}
+            onDuplicateTrip={handleDuplicateTrip}
+          />
+        );
       case 'setup':
-        return <TravelerSetup travelers={travelers} onSaveTravelers={handleSaveTravelers} />;
+        return (
+          <TravelerSetup
+            travelers={travelers}
+            transactions={[...transactions, ...recurringTemplates]}
+            onAddTraveler={handleAddTraveler}
+            onRenameTraveler={handleRenameTraveler}
+            onRemoveTraveler={handleRemoveTraveler}
+            onContinue={() => setPage('expenses')}
+          />
+        );
       case 'expenses':
         return (
           <ExpensePage 
             travelers={travelers} 
             transactions={transactions} 
+            pendingTransactionIds={pendingTransactionIds}
+            recurringTemplates={recurringTemplates}
+            tripName={selectedTrip?.name}
+            currencies={tripCurrencies}
+            categories={tripCategories}
+            generateTravelerId={generateTravelerId}
+            onImportTransactions={handleImportTransactions}
             onDeleteTransaction={handleDeleteTransaction} 
             openExpenseModal={openExpenseModal}
             openSettlementModal={openSettlementModal} 
             openEditModal={openEditModal}
+            onEditRecurring={openEditRecurringModal}
+            onStopRecurring={handleStopRecurring}
+            onDeleteRecurring={handleDeleteRecurring}
           />
         );
       case 'summary':
-        return <SummaryPage travelers={travelers} transactions={transactions} />;
+        return (
+          <SummaryPage
+            travelers={travelers}
+            transactions={transactions}
+            trip={selectedTrip}
+            currencies={tripCurrencies}
+            categories={tripCategories}
+            onSaveTransaction={handleSaveTransaction}
+            onOpenReport={() => setPage('report')}
+          />
+        );
+      case 'analytics':
+        return (
+          <AnalyticsPage
+            travelers={travelers}
+            transactions={transactions}
+            currencies={tripCurrencies}
+            categories={tripCategories}
+          />
+        );
+      case 'report':
+        return (
+          <SettlementReport
+            travelers={travelers}
+            transactions={transactions}
+            trip={selectedTrip}
+            currencies={tripCurrencies}
+            onBack={() => setPage('summary')}
+          />
+        );
+      case 'settings':
+        return (
+          <TripSettings
+            trip={selectedTrip}
+            travelers={travelers}
+            transactions={transactions}
+            recurringTemplates={recurringTemplates}
+            userId={userId}
+            categories={tripCategories}
+            onUpdateTrip={handleUpdateTrip}
+            onLinkTraveler={handleLinkTraveler}
+            onRestoreBackup={(backup) => handleRestoreBackup(backup, currentTripId)}
+          />
+        );
       case 'error':
         return <div className="text-center text-red-500">Error al cargar la aplicación. Revisa la consola.</div>;
       default:
@@ -352,16 +1229,24 @@ export default function App() {
   };
 
   return (
-    <div className="flex justify-center items-start min-h-screen bg-gray-100 p-4 sm:p-8 font-sans">
+    <div className="flex justify-center items-start min-h-screen bg-gray-100 p-4 sm:p-8 font-sans print:block print:min-h-0 print:bg-white print:p-0">
       <script src="https://cdn.tailwindcss.com"></script>
-      <div className="w-full max-w-4xl bg-white rounded-2xl shadow-2xl overflow-hidden">
-        <Header userId={userId} tripName={selectedTrip?.name} />
+      <div className="w-full max-w-4xl bg-white rounded-2xl shadow-2xl overflow-hidden print:max-w-none print:rounded-none print:shadow-none print:overflow-visible">
+        <Header
+          account={account}
+          tripName={selectedTrip?.name}
+          onLinkAccount={handleLinkAccount}
+          onSignIn={handleSignIn}
+          onSignOut={handleSignOut}
+        />
         
+        <SyncStatusBar isOnline={isOnline} pendingCount={pendingTransactionIds.size} />
+
         {currentTripId && (page !== 'tripSelector' && page !== 'tripSetup') && (
           <NavBar currentPage={page} setPage={setPage} onGoToTrips={handleGoToTrips} />
         )}
         
-        <main className="p-4 sm:p-8">
+        <main className="p-4 sm:p-8 print:p-0">
           {renderPage()}
         </main>
 
@@ -371,17 +1256,31 @@ export default function App() {
             isOpen={isExpenseModalOpen}
             onClose={closeModals}
             travelers={travelers}
+            currencies={tripCurrencies}
+            categories={tripCategories}
+            defaultPayerId={linkedTravelerId}
+            checkBudget={checkExpenseBudget}
             transaction={editingTransaction} // Ahora es transaction
+            recurringTemplate={editingRecurring}
             onSave={handleSaveTransaction}
+            onSaveRecurring={handleSaveRecurring}
           />
         )}
         
+        {pendingTripDeletion && (
+          <UndoToast
+            message={`Viaje "${pendingTripDeletion.name}" eliminado.`}
+            onUndo={handleUndoDeleteTrip}
+          />
+        )}
+
         {/* Modal para Liquidaciones/Pagos de Deuda */}
         {isSettlementModalOpen && (
           <SettlementModal 
             isOpen={isSettlementModalOpen}
             onClose={closeModals}
             travelers={travelers}
+            currencies={tripCurrencies}
             transaction={editingTransaction} // Ahora es transaction
             onSave={handleSaveTransaction}
           />
@@ -393,41 +1292,149 @@ export default function App() {
 }
 
 // --- Componente: Cabecera ---
-function Header({ userId, tripName }) {
+function Header({ account, tripName, onLinkAccount, onSignIn, onSignOut }) {
+  const [isAccountModalOpen, setIsAccountModalOpen] = useState(false);
+
   return (
-    <header className="bg-gradient-to-r from-blue-600 to-indigo-700 text-white p-6 shadow-md">
+    <header className="bg-gradient-to-r from-blue-600 to-indigo-700 text-white p-6 shadow-md print:hidden">
       <h1 className="text-3xl font-bold text-center">Calculadora de Gastos de Viaje</h1>
       {tripName && (
         <h2 className="text-xl font-semibold text-center text-blue-100 mt-2">{tripName}</h2>
       )}
-      {userId && (
-        <p className="text-center text-xs text-blue-200 mt-2">
-          ID de Usuario: {userId}
-        </p>
+      {account && (
+        <div className="flex justify-center items-center gap-3 text-xs text-blue-200 mt-2">
+          <span className="flex items-center gap-1">
+            <UserCircle className="w-4 h-4" />
+            {account.isAnonymous ? 'Invitado (sin cuenta)' : account.email}
+          </span>
+          {account.isAnonymous ? (
+            <button onClick={() => setIsAccountModalOpen(true)} className="underline hover:text-white">
+              Guardar mis viajes
+            </button>
+          ) : (
+            <button onClick={onSignOut} className="flex items-center gap-1 underline hover:text-white">
+              <LogOut className="w-3 h-3" /> Cerrar sesión
+            </button>
+          )}
+        </div>
+      )}
+      {isAccountModalOpen && (
+        <AccountModal
+          onClose={() => setIsAccountModalOpen(false)}
+          onLinkAccount={onLinkAccount}
+          onSignIn={onSignIn}
+        />
       )}
     </header>
   );
 }
 
-// --- Componente: Barra de Navegación ---
-function NavBar({ currentPage, setPage, onGoToTrips }) {
-  const navItems = [
-    { id: 'tripSelector', label: 'Mis Viajes', icon: Home },
-    { id: 'expenses', label: 'Transacciones', icon: Receipt }, // Cambiado a Transacciones
-    { id: 'summary', label: 'Resumen', icon: BarChart2 },
-    { id: 'setup', label: 'Viajeros', icon: Users },
-  ];
+// --- Componente: Modal de Cuenta ---
+// Permite a un invitado anónimo crear una cuenta (vinculando su sesión) o entrar en una existente
+function AccountModal({ onClose, onLinkAccount, onSignIn }) {
+  const [mode, setMode] = useState('link'); // 'link' (crear cuenta) | 'signIn'
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError('');
+    const action = mode === 'link' ? onLinkAccount : onSignIn;
+    const errorMessage = await action(email.trim(), password);
+    setIsSubmitting(false);
+    if (errorMessage) {
+      setError(errorMessage);
+    } else {
+      onClose();
+    }
+  };
 
   return (
-    <nav className="flex justify-center bg-gray-50 border-b border-gray-200">
-      {navItems.map(item => {
-        const isActive = currentPage === item.id;
-        return (
+    <div className="fixed inset-0 bg-gray-900 bg-opacity-50 flex items-center justify-center p-4 z-50 animate-fade-in text-left">
+      <div className="bg-white rounded-xl w-full max-w-md shadow-2xl overflow-hidden transform transition-all">
+        <div className="p-6 border-b border-gray-200 flex justify-between items-center bg-blue-50">
+          <h3 className="text-xl font-semibold text-gray-800 flex items-center gap-2"><UserCircle className="w-6 h-6 text-blue-600" /> {mode === 'link' ? 'Crear cuenta' : 'Iniciar sesión'}</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-700">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          <p className="text-sm text-gray-600">
+            {mode === 'link'
+              ? 'Tus viajes están ligados a esta sesión de invitado. Crea una cuenta para recuperarlos desde cualquier dispositivo.'
+              : 'Los viajes de esta sesión de invitado pasarán a tu cuenta.'}
+          </p>
+          <div>
+            <label htmlFor="accountEmail" className="block text-sm font-medium text-gray-700 mb-1">Correo</label>
+            <input id="accountEmail" type="email" value={email} onChange={e => setEmail(e.target.value)} required className="w-full p-3 border border-gray-300 rounded-lg shadow-sm" />
+          </div>
+          <div>
+            <label htmlFor="accountPassword" className="block text-sm font-medium text-gray-700 mb-1">Contraseña</label>
+            <input id="accountPassword" type="password" value={password} onChange={e => setPassword(e.target.value)} required minLength={6} className="w-full p-3 border border-gray-300 rounded-lg shadow-sm" />
+          </div>
+          {error && <p className="text-sm text-red-600">{error}</p>}
           <button
-            key={item.id}
-            onClick={() => item.id === 'tripSelector' ? onGoToTrips() : setPage(item.id)}
-            className={`flex items-center gap-2 px-4 py-3 sm:px-6 font-medium text-sm sm:text-base transition-all duration-200
-              ${isActive
+            type="submit"
+            disabled={isSubmitting}
+            className="w-full flex items-center justify-center gap-2 bg-blue-600 text-white font-bold py-3 px-6 rounded-lg shadow-lg hover:bg-blue-700 transition duration-300 disabled:opacity-50"
+          >
+            {isSubmitting && <Loader className="w-5 h-5 animate-spin" />}
+            {mode === 'link' ? 'Crear cuenta' : 'Iniciar sesión'}
+          </button>
+          <button
+            type="button"
+            onClick={() => { setMode(mode === 'link' ? 'signIn' : 'link'); setError(''); }}
+            className="w-full text-sm text-blue-600 hover:underline"
+          >
+            {mode === 'link' ? '¿Ya tienes cuenta? Inicia sesión' : '¿No tienes cuenta? Créala'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// --- Componente: Estado de Sincronización ---
+// Solo se muestra sin conexión o mientras quedan cambios por confirmar en el servidor
+function SyncStatusBar({ isOnline, pendingCount }) {
+  if (isOnline && pendingCount === 0) return null;
+
+  const pendingText = pendingCount === 1 ? '1 cambio pendiente' : `${pendingCount} cambios pendientes`;
+  return (
+    <div className={`flex items-center justify-center gap-2 px-4 py-2 text-sm font-medium print:hidden ${isOnline ? 'bg-blue-50 text-blue-700' : 'bg-orange-100 text-orange-800'}`}>
+      {isOnline ? <Loader className="w-4 h-4 animate-spin" /> : <CloudOff className="w-4 h-4" />}
+      {isOnline
+        ? `Sincronizando: ${pendingText}`
+        : `Sin conexión. Puedes seguir registrando gastos${pendingCount > 0 ? ` (${pendingText})` : ''}; se enviarán al reconectar.`}
+    </div>
+  );
+}
+
+// --- Componente: Barra de Navegación ---
+function NavBar({ currentPage, setPage, onGoToTrips }) {
+  const navItems = [
+    { id: 'tripSelector', label: 'Mis Viajes', icon: Home },
+    { id: 'expenses', label: 'Transacciones', icon: Receipt }, // Cambiado a Transacciones
+    { id: 'summary', label: 'Resumen', icon: BarChart2 },
+    { id: 'analytics', label: 'Análisis', icon: PieChart },
+    { id: 'setup', label: 'Viajeros', icon: Users },
+    { id: 'settings', label: 'Ajustes', icon: Settings },
+  ];
+
+  return (
+    <nav className="flex justify-center bg-gray-50 border-b border-gray-200 print:hidden">
+      {navItems.map(item => {
+        // El informe imprimible es una vista del resumen
+        const isActive = currentPage === item.id || (item.id === 'summary' && currentPage === 'report');
+        return (
+          <button
+            key={item.id}
+            onClick={() => item.id === 'tripSelector' ? onGoToTrips() : setPage(item.id)}
+            className={`flex items-center gap-2 px-4 py-3 sm:px-6 font-medium text-sm sm:text-base transition-all duration-200
+              ${isActive
                 ? 'border-b-4 border-blue-600 text-blue-600'
                 : 'text-gray-600 hover:bg-gray-100 hover:text-blue-500'
               }`}
@@ -441,101 +1448,206 @@ function NavBar({ currentPage, setPage, onGoToTrips }) {
   );
 }
 
-// --- Componente: Pantalla de Configuración de Viajeros (sin cambios) ---
-function TravelerSetup({ onSaveTravelers, travelers }) {
-  const [numTravelers, setNumTravelers] = useState(travelers.length || 2);
-  const [names, setNames] = useState(() => 
-    travelers.length > 0 
-      ? travelers.map(t => t.name) 
-      : Array(2).fill('')
+// --- Componente: Pantalla de Configuración de Viajeros ---
+function TravelerSetup({ travelers, transactions, onAddTraveler, onRenameTraveler, onRemoveTraveler, onContinue }) {
+  const [newName, setNewName] = useState('');
+  const [drafts, setDrafts] = useState({}); // { travelerId -> nombre editado }
+  const [removingId, setRemovingId] = useState(null); // Viajero con el panel de reasignación abierto
+  const [reassignToId, setReassignToId] = useState('');
+
+  // Número de transacciones en las que aparece cada viajero
+  const referenceCounts = useMemo(() => new Map(travelers.map(t => [
+    t.id,
+    transactions.filter(tx => transactionReferencesTraveler(tx, t.id)).length,
+  ])), [travelers, transactions]);
+
+  const isNameTaken = (name, exceptId = null) => (
+    travelers.some(t => t.id !== exceptId && t.name.trim().toLowerCase() === name.trim().toLowerCase())
   );
 
-  useEffect(() => {
-    if (names.length !== numTravelers) {
-      setNames(oldNames => {
-        const newNames = Array(numTravelers).fill('');
-        oldNames.slice(0, numTravelers).forEach((name, i) => newNames[i] = name);
-        return newNames;
-      });
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const name = newName.trim();
+    if (!name || isNameTaken(name)) {
+      console.error('El nombre no puede estar vacío ni repetido.');
+      return;
     }
-  }, [numTravelers]);
+    onAddTraveler(name);
+    setNewName('');
+  };
 
-  const handleNumChange = (e) => {
-    const num = Math.max(2, parseInt(e.target.value) || 2);
-    setNumTravelers(num);
+  const handleRename = (traveler) => {
+    const name = (drafts[traveler.id] ?? traveler.name).trim();
+    if (!name || isNameTaken(name, traveler.id)) {
+      console.error('El nombre no puede estar vacío ni repetido.');
+      return;
+    }
+    onRenameTraveler(traveler.id, name);
+    setDrafts(prev => {
+      const { [traveler.id]: _, ...rest } = prev;
+      return rest;
+    });
   };
 
-  const handleNameChange = (index, value) => {
-    const newNames = [...names];
-    newNames[index] = value;
-    setNames(newNames);
+  const handleRemoveClick = (traveler) => {
+    if (referenceCounts.get(traveler.id) > 0) {
+      // Tiene transacciones: hay que elegir a quién reasignarlas
+      setRemovingId(traveler.id);
+      setReassignToId(travelers.find(t => t.id !== traveler.id)?.id || '');
+      return;
+    }
+    const confirmDelete = window.confirm || ((msg) => { console.log(msg); return true; }); // Fallback simple para el entorno
+    if (confirmDelete(`¿Eliminar a ${traveler.name} del viaje?`)) {
+      onRemoveTraveler(traveler.id);
+    }
   };
 
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    onSaveTravelers(names);
+  const handleConfirmReassign = () => {
+    onRemoveTraveler(removingId, reassignToId);
+    setRemovingId(null);
   };
 
+  const canRemove = travelers.length > 2;
+
   return (
     <div className="animate-fade-in">
       <h2 className="text-2xl font-semibold text-gray-800 mb-6">1. Configurar Viajeros</h2>
-      <form onSubmit={handleSubmit} className="space-y-6">
-        <div>
-          <label htmlFor="numTravelers" className="block text-sm font-medium text-gray-700 mb-1">
-            ¿Cuántos viajeros son?
-          </label>
-          <input
-            type="number"
-            id="numTravelers"
-            min="2"
-            value={numTravelers}
-            onChange={handleNumChange}
-            className="w-full max-w-xs p-3 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
-          />
-        </div>
 
-        <div className="space-y-4">
-          <label className="block text-sm font-medium text-gray-700">
-            Nombres de los viajeros:
-          </label>
-          {names.slice(0, numTravelers).map((name, index) => (
-            <div key={index} className="flex items-center gap-3">
-              <span className="text-gray-500 font-medium w-6">{index + 1}.</span>
-              <input
-                type="text"
-                placeholder={`Nombre del Viajero ${index + 1}`}
-                value={name}
-                onChange={(e) => handleNameChange(index, e.target.value)}
-                className="flex-1 p-3 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
-                required
-              />
+      <div className="space-y-4">
+        {travelers.length === 0 && (
+          <p className="text-gray-500">Añade al menos dos viajeros para empezar a registrar gastos.</p>
+        )}
+        {travelers.map((traveler, index) => {
+          const draft = drafts[traveler.id] ?? traveler.name;
+          const count = referenceCounts.get(traveler.id) || 0;
+          return (
+            <div key={traveler.id} className="space-y-2">
+              <div className="flex items-center gap-3">
+                <span className="text-gray-500 font-medium w-6">{index + 1}.</span>
+                <input
+                  type="text"
+                  value={draft}
+                  onChange={(e) => setDrafts(prev => ({ ...prev, [traveler.id]: e.target.value }))}
+                  className="flex-1 p-3 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                {draft !== traveler.name && (
+                  <button
+                    type="button"
+                    onClick={() => handleRename(traveler)}
+                    className="text-green-600 hover:text-green-800 transition"
+                    aria-label="Guardar nombre"
+                    title="Guardar nombre"
+                  >
+                    <Check className="w-5 h-5" />
+                  </button>
+                )}
+                <button
+                  type="button"
+                  onClick={() => handleRemoveClick(traveler)}
+                  disabled={!canRemove}
+                  className="text-red-500 hover:text-red-700 transition disabled:opacity-30"
+                  aria-label="Eliminar viajero"
+                  title={canRemove ? 'Eliminar viajero' : 'Se requieren al menos dos viajeros'}
+                >
+                  <Trash2 className="w-5 h-5" />
+                </button>
+              </div>
+
+              {removingId === traveler.id && (
+                <div className="ml-9 p-4 bg-red-50 border border-red-200 rounded-lg space-y-3">
+                  <p className="text-sm text-red-700">
+                    {traveler.name} aparece en {count} transacción(es). Para eliminarlo, reasigna sus pagos y participaciones a otro viajero:
+                  </p>
+                  <div className="flex flex-wrap items-center gap-2">
+                    <select value={reassignToId} onChange={e => setReassignToId(e.target.value)} className="p-2 border border-gray-300 rounded-lg shadow-sm bg-white">
+                      {travelers.filter(t => t.id !== traveler.id).map(t => (
+                        <option key={t.id} value={t.id}>{t.name}</option>
+                      ))}
+                    </select>
+                    <button
+                      type="button"
+                      onClick={handleConfirmReassign}
+                      disabled={!reassignToId}
+                      className="bg-red-600 text-white font-bold py-2 px-4 rounded-lg shadow hover:bg-red-700 transition duration-300 disabled:opacity-50"
+                    >
+                      Reasignar y eliminar
+                    </button>
+                    <button type="button" onClick={() => setRemovingId(null)} className="text-sm text-gray-500 hover:text-gray-700">
+                      Cancelar
+                    </button>
+                  </div>
+                </div>
+              )}
             </div>
-          ))}
-        </div>
+          );
+        })}
+      </div>
 
-        <div className="pt-4">
-          <button
-            type="submit"
-            className="w-full sm:w-auto flex items-center justify-center gap-2 bg-blue-600 text-white font-bold py-3 px-6 rounded-lg shadow-lg hover:bg-blue-700 transition duration-300 transform hover:-translate-y-0.5"
-          >
-            Guardar Viajeros
-          </button>
-        </div>
+      <form onSubmit={handleAdd} className="flex flex-col sm:flex-row gap-3 mt-6">
+        <input
+          type="text"
+          placeholder="Nombre del nuevo viajero"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          className="flex-1 p-3 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <button
+          type="submit"
+          className="flex items-center justify-center gap-2 bg-green-600 text-white font-bold py-3 px-6 rounded-lg shadow-lg hover:bg-green-700 transition duration-300"
+        >
+          <Plus className="w-5 h-5" /> Añadir Viajero
+        </button>
       </form>
+
+      <div className="pt-6">
+        <button
+          type="button"
+          onClick={onContinue}
+          disabled={travelers.length < 2}
+          className="w-full sm:w-auto flex items-center justify-center gap-2 bg-blue-600 text-white font-bold py-3 px-6 rounded-lg shadow-lg hover:bg-blue-700 transition duration-300 transform hover:-translate-y-0.5 disabled:opacity-50 disabled:transform-none"
+        >
+          Continuar a Transacciones <ArrowRight className="w-5 h-5" />
+        </button>
+      </div>
     </div>
   );
 }
 
 // --- Componente: Pantalla Principal de Transacciones ---
-function ExpensePage({ travelers, transactions, onDeleteTransaction, openExpenseModal, openSettlementModal, openEditModal }) {
+function ExpensePage({
+  travelers, transactions, pendingTransactionIds, recurringTemplates, tripName, currencies, categories, generateTravelerId,
+  onImportTransactions, onDeleteTransaction, openExpenseModal, openSettlementModal, openEditModal,
+  onEditRecurring, onStopRecurring, onDeleteRecurring,
+}) {
+  const [isImportOpen, setIsImportOpen] = useState(false);
+
   // Mapa de viajeros para búsqueda rápida de nombres
   const travelerMap = useMemo(() => {
     return new Map(travelers.map(t => [t.id, t.name]));
   }, [travelers]);
 
+  const handleExport = () => {
+    downloadFile(getExportFileName(tripName, 'transacciones'), buildTransactionsCsv({ travelers, transactions, categories }));
+  };
+
   return (
     <div className="grid grid-cols-1 gap-8">
       <div className="flex flex-col sm:flex-row justify-end gap-3">
+        <div className="flex gap-3 sm:mr-auto">
+          <button
+            onClick={() => setIsImportOpen(true)}
+            className="flex-1 flex items-center justify-center gap-2 bg-white text-gray-700 font-bold py-3 px-4 rounded-lg shadow border border-gray-300 hover:bg-gray-50 transition duration-300"
+          >
+            <Upload className="w-5 h-5" /> Importar
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={transactions.length === 0}
+            className="flex-1 flex items-center justify-center gap-2 bg-white text-gray-700 font-bold py-3 px-4 rounded-lg shadow border border-gray-300 hover:bg-gray-50 transition duration-300 disabled:opacity-50"
+          >
+            <Download className="w-5 h-5" /> Exportar CSV
+          </button>
+        </div>
         <button
           onClick={openSettlementModal}
           className="flex items-center justify-center gap-2 bg-yellow-600 text-white font-bold py-3 px-6 rounded-lg shadow-lg hover:bg-yellow-700 transition duration-300"
@@ -551,22 +1663,274 @@ function ExpensePage({ travelers, transactions, onDeleteTransaction, openExpense
       </div>
       <ExpenseList // Renombrado internamente para manejar ambas
         transactions={transactions} 
+        pendingTransactionIds={pendingTransactionIds}
+        recurringTemplates={recurringTemplates}
         travelerMap={travelerMap} 
+        categories={categories}
         onDeleteTransaction={onDeleteTransaction} 
         onEditTransaction={openEditModal} 
+        onEditRecurring={onEditRecurring}
+        onStopRecurring={onStopRecurring}
+        onDeleteRecurring={onDeleteRecurring}
       />
+      {isImportOpen && (
+        <ImportModal
+          travelers={travelers}
+          currencies={currencies}
+          categories={categories}
+          generateTravelerId={generateTravelerId}
+          onImport={onImportTransactions}
+          onClose={() => setIsImportOpen(false)}
+        />
+      )}
+    </div>
+  );
+}
+
+// --- Componente: Modal de Importación CSV ---
+// Lee un CSV propio o una exportación de Splitwise, deja asignar columnas y muestra una vista
+// previa con los errores de cada fila antes de guardar. Las filas con errores se omiten.
+function ImportModal({ travelers, currencies, categories, generateTravelerId, onImport, onClose }) {
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState([]);
+  const [format, setFormat] = useState('generic'); // 'generic' | 'splitwise'
+  const [mapping, setMapping] = useState({}); // { campo -> índice de columna }
+  const [defaultCurrency, setDefaultCurrency] = useState(currencies[0]?.code || 'USD');
+  const [fileError, setFileError] = useState('');
+
+  const header = rows[0] || [];
+  const missingFields = format === 'generic'
+    ? IMPORT_FIELDS.filter(f => f.required && mapping[f.id] === undefined)
+    : [];
+
+  const preview = useMemo(() => (
+    rows.length > 1 && missingFields.length === 0
+      ? buildImportPreview({
+          rows, format, mapping, travelers, categories, defaultCurrency,
+          currencies: currencies.map(c => c.code), generateId: generateTravelerId,
+        })
+      : null
+  ), [rows, format, mapping, travelers, categories, defaultCurrency, currencies, generateTravelerId, missingFields.length]);
+
+  const validItems = preview ? preview.items.filter(item => item.transaction) : [];
+  const invalidCount = preview ? preview.items.length - validItems.length : 0;
+  const nameMap = useMemo(() => new Map(
+    [...travelers, ...(preview?.newTravelers || [])].map(t => [t.id, t.name])
+  ), [travelers, preview]);
+  // Solo se crean los viajeros nuevos que aparecen en alguna fila válida
+  const usedNewTravelers = (preview?.newTravelers || []).filter(t => (
+    validItems.some(item => transactionReferencesTraveler(item.transaction, t.id))
+  ));
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setFileError('');
+    try {
+      const parsedRows = parseCsv(await file.text());
+      if (parsedRows.length < 2) {
+        setFileError('El archivo no tiene filas de datos.');
+        setRows([]);
+        return;
+      }
+      setFileName(file.name);
+      setRows(parsedRows);
+      setFormat(isSplitwiseExport(parsedRows[0]) ? 'splitwise' : 'generic');
+      setMapping(guessColumnMapping(parsedRows[0]));
+    } catch (error) {
+      console.error("Error al leer el CSV:", error);
+      setFileError('No se pudo leer el archivo.');
+    }
+  };
+
+  const handleMappingChange = (fieldId, value) => {
+    setMapping(prev => {
+      const next = { ...prev };
+      if (value === '') delete next[fieldId];
+      else next[fieldId] = Number(value);
+      return next;
+    });
+  };
+
+  const handleImport = () => {
+    if (validItems.length === 0) return;
+    onImport(usedNewTravelers, validItems.map(item => item.transaction));
+    onClose();
+  };
+
+  const describeParticipants = (transaction) => (transaction.type === 'settlement'
+    ? `→ ${nameMap.get(transaction.receiverId)}`
+    : transaction.splitWith.map(id => nameMap.get(id)).join(', '));
+  const describePayers = (transaction) => (transaction.type === 'settlement'
+    ? nameMap.get(transaction.payerId)
+    : transaction.payers.map(p => nameMap.get(p.id)).join(', '));
+
+  return (
+    <div className="fixed inset-0 bg-gray-900 bg-opacity-50 flex items-center justify-center p-4 z-50 animate-fade-in">
+      <div className="bg-white rounded-xl w-full max-w-4xl shadow-2xl overflow-hidden transform transition-all">
+        <div className="p-6 border-b border-gray-200 flex justify-between items-center bg-blue-50">
+          <h3 className="text-xl font-semibold text-gray-800 flex items-center gap-2"><Upload className="w-6 h-6 text-blue-600" /> Importar Transacciones</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-700">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6 max-h-[70vh] overflow-y-auto">
+          <div>
+            <label htmlFor="importFile" className="block text-sm font-medium text-gray-700 mb-1">Archivo CSV (hoja de cálculo o exportación de Splitwise)</label>
+            <input id="importFile" type="file" accept=".csv,text/csv" onChange={handleFileChange} className="block w-full text-sm text-gray-600" />
+            {fileError && <p className="text-sm text-red-600 mt-1">{fileError}</p>}
+          </div>
+
+          {rows.length > 1 && (
+            <div className="space-y-4">
+              <div className="flex flex-wrap items-center gap-3">
+                <span className="text-sm text-gray-700">{fileName}: {rows.length - 1} filas.</span>
+                <select value={format} onChange={e => setFormat(e.target.value)} className="p-2 border border-gray-300 rounded-lg shadow-sm bg-white text-sm">
+                  <option value="generic">Hoja de cálculo (asignar columnas)</option>
+                  <option value="splitwise">Exportación de Splitwise</option>
+                </select>
+              </div>
+
+              {format === 'generic' && (
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                  {IMPORT_FIELDS.map(field => (
+                    <div key={field.id} className="flex items-center gap-2">
+                      <label htmlFor={`map-${field.id}`} className="w-32 text-sm text-gray-700">{field.label}{field.required && ' *'}</label>
+                      <select
+                        id={`map-${field.id}`}
+                        value={mapping[field.id] ?? ''}
+                        onChange={e => handleMappingChange(field.id, e.target.value)}
+                        className="flex-1 p-2 border border-gray-300 rounded-lg shadow-sm bg-white text-sm"
+                      >
+                        <option value="">— Sin asignar —</option>
+                        {header.map((name, index) => (
+                          <option key={index} value={index}>{name || `Columna ${index + 1}`}</option>
+                        ))}
+                      </select>
+                    </div>
+                  ))}
+                  {mapping.currency === undefined && (
+                    <div className="flex items-center gap-2">
+                      <label htmlFor="importCurrency" className="w-32 text-sm text-gray-700">Moneda de todas</label>
+                      <select id="importCurrency" value={defaultCurrency} onChange={e => setDefaultCurrency(e.target.value)} className="flex-1 p-2 border border-gray-300 rounded-lg shadow-sm bg-white text-sm">
+                        {currencies.map(c => (
+                          <option key={c.code} value={c.code}>{c.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+                  <p className="sm:col-span-2 text-xs text-gray-500">
+                    Varios pagadores: "Ana (10); Bob (5)". Participantes separados por ";" (si no hay columna, se reparte entre todos los viajeros).
+                  </p>
+                </div>
+              )}
+
+              {missingFields.length > 0 && (
+                <p className="text-sm text-red-600">Asigna una columna a: {missingFields.map(f => f.label).join(', ')}.</p>
+              )}
+
+              {preview && (
+                <>
+                  <div className="text-sm text-gray-700 space-y-1">
+                    <p>
+                      <span className="font-semibold text-green-700">{validItems.length} transacciones válidas</span>
+                      {invalidCount > 0 && <span className="font-semibold text-red-600">, {invalidCount} con errores (se omitirán)</span>}.
+                    </p>
+                    {usedNewTravelers.length > 0 && (
+                      <p>Se crearán los viajeros: {usedNewTravelers.map(t => t.name).join(', ')}.</p>
+                    )}
+                  </div>
+                  <div className="overflow-x-auto border border-gray-200 rounded-lg">
+                    <table className="min-w-full divide-y divide-gray-200 text-sm">
+                      <thead className="bg-gray-50">
+                        <tr>
+                          <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Fila</th>
+                          <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Fecha</th>
+                          <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Descripción</th>
+                          <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Monto</th>
+                          <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Pagado por</th>
+                          <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Participantes</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-gray-200">
+                        {preview.items.map(item => (item.transaction ? (
+                          <tr key={item.line}>
+                            <td className="px-3 py-2 text-gray-400">{item.line}</td>
+                            <td className="px-3 py-2 whitespace-nowrap">{item.transaction.date}</td>
+                            <td className="px-3 py-2">{item.transaction.type === 'settlement' ? `Pago de Deuda${item.transaction.description ? `: ${item.transaction.description}` : ''}` : item.transaction.description}</td>
+                            <td className="px-3 py-2 text-right whitespace-nowrap">{formatNumber(item.transaction.amount, item.transaction.currency)}</td>
+                            <td className="px-3 py-2">{describePayers(item.transaction)}</td>
+                            <td className="px-3 py-2">{describeParticipants(item.transaction)}</td>
+                          </tr>
+                        ) : (
+                          <tr key={item.line} className="bg-red-50">
+                            <td className="px-3 py-2 text-red-400">{item.line}</td>
+                            <td className="px-3 py-2 whitespace-nowrap">{item.raw.date}</td>
+                            <td className="px-3 py-2">{item.raw.description}</td>
+                            <td className="px-3 py-2 text-right whitespace-nowrap">{item.raw.amount} {item.raw.currency}</td>
+                            <td colSpan={2} className="px-3 py-2 text-red-600">
+                              <span className="flex items-start gap-1"><AlertTriangle className="w-4 h-4 flex-shrink-0 mt-0.5" /> {item.errors.join(' ')}</span>
+                            </td>
+                          </tr>
+                        )))}
+                      </tbody>
+                    </table>
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="p-6 border-t border-gray-200 flex justify-end gap-3">
+          <button type="button" onClick={onClose} className="py-2 px-4 rounded-lg text-gray-600 hover:bg-gray-100 transition">
+            Cancelar
+          </button>
+          <button
+            type="button"
+            onClick={handleImport}
+            disabled={validItems.length === 0}
+            className="flex items-center gap-2 bg-blue-600 text-white font-bold py-2 px-6 rounded-lg shadow-lg hover:bg-blue-700 transition duration-300 disabled:opacity-50"
+          >
+            <Upload className="w-5 h-5" /> Importar {validItems.length > 0 ? validItems.length : ''} transacciones
+          </button>
+        </div>
+      </div>
     </div>
   );
 }
 
 // --- Componente: Modal para Añadir/Editar Gasto (Tipo 'expense') ---
-function ExpenseModal({ isOpen, onClose, travelers, transaction, onSave }) {
+// Con `recurringTemplate` se edita la plantilla de un gasto recurrente en lugar de un gasto; su
+// fecha es la de inicio de la serie.
+function ExpenseModal({
+  isOpen, onClose, travelers, currencies, categories, defaultPayerId, checkBudget, transaction: editedTransaction,
+  recurringTemplate, onSave, onSaveRecurring,
+}) {
+  const transaction = recurringTemplate
+    ? { ...recurringTemplate, type: 'expense', date: recurringTemplate.startDate }
+    : editedTransaction;
   const [description, setDescription] = useState(transaction?.description || '');
+  const [category, setCategory] = useState(() => (transaction ? getExpenseCategoryId(transaction, categories) : OTHER_CATEGORY_ID));
   const [amount, setAmount] = useState(transaction?.amount || '');
-  const [currency, setCurrency] = useState(transaction?.currency || 'USD'); 
+  const [currency, setCurrency] = useState(transaction?.currency || currencies[0]?.code || 'USD'); 
   const [date, setDate] = useState(transaction?.date || new Date().toISOString().split('T')[0]);
-  const [paidBy, setPaidBy] = useState(transaction?.paidBy || travelers[0]?.id || '');
+  const [paidBy, setPaidBy] = useState(transaction?.paidBy || defaultPayerId || travelers[0]?.id || '');
   const [splitWith, setSplitWith] = useState({});
+  const [splitMode, setSplitMode] = useState(transaction?.splitMode || 'equal');
+  const [splitValues, setSplitValues] = useState({}); // { travelerId -> valor en texto del input }
+  const [multiplePayers, setMultiplePayers] = useState(false);
+  const [payerAmounts, setPayerAmounts] = useState({}); // { travelerId -> aporte en texto del input }
+  const [items, setItems] = useState([]); // Líneas del ticket en el modo por líneas
+  const [tax, setTax] = useState('');
+  const [tip, setTip] = useState('');
+  const [charge, setCharge] = useState(() => initialChargeState(transaction));
+  const [budgetAlerts, setBudgetAlerts] = useState([]); // Avisos ya mostrados; un segundo envío guarda igualmente
+  const [acknowledgedAlertsKey, setAcknowledgedAlertsKey] = useState('');
+  const [isRecurring, setIsRecurring] = useState(Boolean(recurringTemplate));
+  const [frequency, setFrequency] = useState(recurringTemplate?.frequency || 'daily');
+  const [endDate, setEndDate] = useState(recurringTemplate?.endDate || '');
 
   useEffect(() => {
     const initialSplit = travelers.reduce((acc, t) => {
@@ -575,8 +1939,29 @@ function ExpenseModal({ isOpen, onClose, travelers, transaction, onSave }) {
       return acc;
     }, {});
     setSplitWith(initialSplit);
-    setPaidBy(transaction?.paidBy || travelers[0]?.id || ''); 
-  }, [travelers, transaction]);
+    setPaidBy(transaction?.paidBy || defaultPayerId || travelers[0]?.id || ''); 
+    setSplitMode(transaction?.splitMode || 'equal');
+    setSplitValues(Object.fromEntries(
+      Object.entries(transaction?.splitValues || {}).map(([id, value]) => [id, String(value)])
+    ));
+    const existingPayers = transaction?.payers || [];
+    setMultiplePayers(existingPayers.length > 1);
+    setPayerAmounts(Object.fromEntries(existingPayers.map(p => [p.id, String(p.amount)])));
+    const existingItems = transaction?.items || [];
+    setItems(existingItems.length > 0
+      ? existingItems.map(item => ({ description: item.description || '', amount: String(item.amount), travelerIds: item.travelerIds || [] }))
+      : [EMPTY_RECEIPT_ITEM]);
+    setTax(transaction?.tax ? String(transaction.tax) : '');
+    setTip(transaction?.tip ? String(transaction.tip) : '');
+    setCharge(initialChargeState(transaction));
+  }, [travelers, editedTransaction, recurringTemplate, defaultPayerId]);
+
+  // En el modo por líneas el monto es el total del ticket
+  const isItemized = splitMode === 'itemized';
+  const itemizedTotal = computeItemizedTotal(items, tax, tip, currency);
+  useEffect(() => {
+    if (isItemized) setAmount(itemizedTotal > 0 ? String(itemizedTotal) : '');
+  }, [isItemized, itemizedTotal]);
 
 
   const handleSplitChange = (travelerId) => {
@@ -585,27 +1970,94 @@ function ExpenseModal({ isOpen, onClose, travelers, transaction, onSave }) {
       [travelerId]: !prev[travelerId]
     }));
   };
+
+  const handleSplitValueChange = (travelerId, value) => {
+    setSplitValues(prev => ({ ...prev, [travelerId]: value }));
+  };
+
+  const handlePayerAmountChange = (travelerId, value) => {
+    setPayerAmounts(prev => ({ ...prev, [travelerId]: value }));
+  };
+
+  const participants = isItemized
+    ? travelers.map(t => t.id).filter(id => items.some(item => item.travelerIds.includes(id)))
+    : travelers.map(t => t.id).filter(id => splitWith[id]);
+  const payersError = multiplePayers ? validatePayers(parseFloat(amount), currency, payerAmounts) : null;
+  const contributedTotal = Object.values(payerAmounts).reduce((sum, v) => sum + (parseFloat(v) || 0), 0);
+  const splitError = isItemized
+    ? validateItems(items, tax, tip)
+    : validateSplit(parseFloat(amount), currency, splitMode, participants, splitValues);
+  const assignedTotal = participants.reduce((sum, id) => sum + (parseFloat(splitValues[id]) || 0), 0);
+  const endDateError = isRecurring && endDate && endDate < date ? 'La fecha de fin no puede ser anterior a la de inicio.' : null;
   
   const handleSubmit = (e) => {
     e.preventDefault();
     const finalAmount = parseFloat(amount);
-    const participants = Object.keys(splitWith).filter(id => splitWith[id]);
 
     if (!description || !finalAmount || finalAmount <= 0 || !date || !paidBy || participants.length === 0) {
       console.error("Por favor, completa todos los campos y asegúrate de que el monto sea positivo y al menos un viajero participe.");
       return;
     }
 
+    if (splitError) {
+      console.error("División inválida:", splitError);
+      return;
+    }
+
+    if (payersError) {
+      console.error("Pagadores inválidos:", payersError);
+      return;
+    }
+
+    if (endDateError) {
+      console.error("Gasto recurrente inválido:", endDateError);
+      return;
+    }
+
+    // Con un solo pagador, este aporta el total. `paidBy` se mantiene como el pagador
+    // principal (el que más aportó) para que los documentos sigan siendo legibles como antes.
+    const payers = multiplePayers
+      ? travelers
+          .map(t => ({ id: t.id, amount: parseFloat(payerAmounts[t.id]) || 0 }))
+          .filter(p => p.amount > 0)
+      : [{ id: paidBy, amount: finalAmount }];
+    const primaryPayer = payers.reduce((max, p) => (p.amount > max.amount ? p : max), payers[0]);
+
     const transactionData = {
       type: 'expense', // Definir el tipo
       description,
+      category,
       amount: finalAmount,
       currency,
       date,
-      paidBy,
+      paidBy: primaryPayer.id,
+      payers,
       splitWith: participants,
+      splitMode,
+      // Solo se guardan los valores de los participantes; en partes iguales y por líneas no hacen falta
+      splitValues: splitMode === 'equal' || isItemized
+        ? {}
+        : Object.fromEntries(participants.map(id => [id, parseFloat(splitValues[id])])),
+      ...buildItemizedFields(splitMode, items, tax, tip),
+      ...buildChargeFields(finalAmount, currency, charge),
     };
 
+    // Las ocurrencias ya creadas no cambian al editar la serie, así que solo se avisa del
+    // presupuesto con la primera ocurrencia de una serie nueva
+    const alerts = checkBudget && !recurringTemplate ? checkBudget(transactionData, transaction?.id) : [];
+    const alertsKey = alerts.map(a => `${a.id}:${a.status}`).join(',');
+    if (alerts.length > 0 && alertsKey !== acknowledgedAlertsKey) {
+      setBudgetAlerts(alerts);
+      setAcknowledgedAlertsKey(alertsKey);
+      return;
+    }
+
+    if (isRecurring) {
+      const { date: startDate, ...templateData } = transactionData;
+      onSaveRecurring({ ...templateData, frequency, startDate, endDate: endDate || null }, recurringTemplate?.id);
+      return;
+    }
+
     onSave(transactionData, transaction?.id); 
   };
 
@@ -615,7 +2067,7 @@ function ExpenseModal({ isOpen, onClose, travelers, transaction, onSave }) {
     <div className="fixed inset-0 bg-gray-900 bg-opacity-50 flex items-center justify-center p-4 z-50 animate-fade-in">
       <div className="bg-white rounded-xl w-full max-w-lg shadow-2xl overflow-hidden transform transition-all">
         <div className="p-6 border-b border-gray-200 flex justify-between items-center bg-green-50">
-          <h3 className="text-xl font-semibold text-gray-800 flex items-center gap-2"><Receipt className="w-6 h-6 text-green-600" /> {transaction ? 'Editar Gasto' : 'Añadir Nuevo Gasto'}</h3>
+          <h3 className="text-xl font-semibold text-gray-800 flex items-center gap-2"><Receipt className="w-6 h-6 text-green-600" /> {recurringTemplate ? 'Editar Gasto Recurrente' : transaction ? 'Editar Gasto' : 'Añadir Nuevo Gasto'}</h3>
           <button onClick={onClose} className="text-gray-400 hover:text-gray-700">
             <X className="w-6 h-6" />
           </button>
@@ -628,55 +2080,217 @@ function ExpenseModal({ isOpen, onClose, travelers, transaction, onSave }) {
             <input type="text" id="description" value={description} onChange={e => setDescription(e.target.value)} required className="w-full p-3 border border-gray-300 rounded-lg shadow-sm" placeholder="Cena, Taxis, Hotel..." />
           </div>
 
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Categoría</label>
+            <div className="flex flex-wrap gap-2">
+              {categories.map(c => (
+                <button
+                  key={c.id}
+                  type="button"
+                  onClick={() => setCategory(c.id)}
+                  className={`flex items-center gap-1 px-3 py-1 rounded-full text-sm font-medium border transition ${category === c.id ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-600 border-gray-300 hover:bg-gray-50'}`}
+                >
+                  <CategoryIcon categoryId={c.id} className="w-4 h-4" /> {c.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
           <div className="grid grid-cols-2 gap-4">
             <div>
               <label htmlFor="amount" className="block text-sm font-medium text-gray-700 mb-1">Monto</label>
-              <input type="number" id="amount" value={amount} onChange={e => setAmount(e.target.value)} required min="0.01" step="0.01" className="w-full p-3 border border-gray-300 rounded-lg shadow-sm" placeholder="0.00" />
+              <input type="number" id="amount" value={amount} onChange={e => setAmount(e.target.value)} required readOnly={isItemized} title={isItemized ? 'Total del ticket: líneas, impuestos y propina' : undefined} min={getCurrencyStep(currency)} step={getCurrencyStep(currency)} className={`w-full p-3 border border-gray-300 rounded-lg shadow-sm ${isItemized ? 'bg-gray-100' : ''}`} placeholder="0.00" />
             </div>
             <div>
               <label htmlFor="currency" className="block text-sm font-medium text-gray-700 mb-1">Moneda</label>
               <select id="currency" value={currency} onChange={e => setCurrency(e.target.value)} required className="w-full p-3 border border-gray-300 rounded-lg shadow-sm bg-white">
-                {CURRENCIES.map(c => (
+                {withCurrentCurrency(currencies, currency).map(c => (
                   <option key={c.code} value={c.code}>{c.name}</option>
                 ))}
               </select>
             </div>
           </div>
           
+          <ChargedAmountFields amount={amount} currency={currency} currencies={currencies} charge={charge} onChange={setCharge} />
+          
           <div>
-            <label htmlFor="date" className="block text-sm font-medium text-gray-700 mb-1">Fecha</label>
+            <div className="flex justify-between items-center mb-1">
+              <label htmlFor="date" className="block text-sm font-medium text-gray-700">{isRecurring ? 'Primera fecha' : 'Fecha'}</label>
+              {/* Un gasto ya guardado no se convierte en serie; la serie se crea al añadirlo */}
+              {!editedTransaction && !recurringTemplate && (
+                <label className="flex items-center gap-2 text-sm text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={isRecurring}
+                    onChange={() => setIsRecurring(prev => !prev)}
+                    className="h-4 w-4 text-blue-600 rounded border-gray-300 focus:ring-blue-500"
+                  />
+                  Se repite
+                </label>
+              )}
+            </div>
             <input type="date" id="date" value={date} onChange={e => setDate(e.target.value)} required className="w-full p-3 border border-gray-300 rounded-lg shadow-sm" />
           </div>
 
+          {isRecurring && (
+            <div className="p-4 bg-blue-50 rounded-lg border border-blue-200 space-y-3">
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label htmlFor="frequency" className="block text-sm font-medium text-gray-700 mb-1">Frecuencia</label>
+                  <select id="frequency" value={frequency} onChange={e => setFrequency(e.target.value)} className="w-full p-3 border border-gray-300 rounded-lg shadow-sm bg-white">
+                    {RECURRENCE_FREQUENCIES.map(f => (
+                      <option key={f.id} value={f.id}>{f.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label htmlFor="endDate" className="block text-sm font-medium text-gray-700 mb-1">Hasta (opcional)</label>
+                  <input type="date" id="endDate" value={endDate} min={date} onChange={e => setEndDate(e.target.value)} className="w-full p-3 border border-gray-300 rounded-lg shadow-sm" />
+                </div>
+              </div>
+              <p className="text-sm text-blue-800">
+                {recurringTemplate
+                  ? 'Los cambios se aplican a los próximos gastos de la serie; los ya creados no cambian.'
+                  : 'Cada ocurrencia se añade como un gasto normal al llegar su fecha.'}
+              </p>
+              {endDateError && <p className="text-red-500 text-sm">{endDateError}</p>}
+            </div>
+          )}
+
           <div>
-            <label htmlFor="paidBy" className="block text-sm font-medium text-gray-700 mb-1">Pagado por:</label>
-            <select id="paidBy" value={paidBy} onChange={e => setPaidBy(e.target.value)} required className="w-full p-3 border border-gray-300 rounded-lg shadow-sm bg-white">
-              {travelers.map(t => (
-                <option key={t.id} value={t.id}>{t.name}</option>
-              ))}
-            </select>
+            <div className="flex justify-between items-center mb-1">
+              <label htmlFor="paidBy" className="block text-sm font-medium text-gray-700">Pagado por:</label>
+              <label className="flex items-center gap-2 text-sm text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={multiplePayers}
+                  onChange={() => setMultiplePayers(prev => !prev)}
+                  className="h-4 w-4 text-blue-600 rounded border-gray-300 focus:ring-blue-500"
+                />
+                Varios pagadores
+              </label>
+            </div>
+            {multiplePayers ? (
+              <div className="space-y-2">
+                {travelers.map(t => (
+                  <div key={t.id} className="flex items-center gap-3 p-2 rounded-lg hover:bg-gray-50">
+                    <span className="flex-1 text-gray-700">{t.name}</span>
+                    <input
+                      type="number"
+                      min="0"
+                      step={getCurrencyStep(currency)}
+                      value={payerAmounts[t.id] ?? ''}
+                      onChange={e => handlePayerAmountChange(t.id, e.target.value)}
+                      className="w-28 p-2 border border-gray-300 rounded-lg shadow-sm text-right"
+                      placeholder="0.00"
+                    />
+                    <span className="text-sm text-gray-500 w-10">{currency}</span>
+                  </div>
+                ))}
+                <p className="text-sm text-gray-500">
+                  Aportado: {formatNumber(contributedTotal, currency)} de {formatNumber(parseFloat(amount) || 0, currency)}
+                </p>
+                {payersError && <p className="text-red-500 text-sm">{payersError}</p>}
+              </div>
+            ) : (
+              <select id="paidBy" value={paidBy} onChange={e => setPaidBy(e.target.value)} required className="w-full p-3 border border-gray-300 rounded-lg shadow-sm bg-white">
+                {travelers.map(t => (
+                  <option key={t.id} value={t.id}>{t.name}</option>
+                ))}
+              </select>
+            )}
           </div>
 
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">Dividir entre:</label>
-            <div className="space-y-2">
-              {travelers.map(t => (
-                <label key={t.id} className="flex items-center gap-3 p-2 rounded-lg hover:bg-gray-50">
-                  <input
-                    type="checkbox"
-                    checked={splitWith[t.id] || false}
-                    onChange={() => handleSplitChange(t.id)}
-                    className="h-5 w-5 text-blue-600 rounded border-gray-300 focus:ring-blue-500"
-                  />
-                  <span className="text-gray-700">{t.name}</span>
-                </label>
+            <div className="flex flex-wrap gap-2 mb-3">
+              {SPLIT_MODES.map(mode => (
+                <button
+                  key={mode.id}
+                  type="button"
+                  onClick={() => setSplitMode(mode.id)}
+                  className={`px-3 py-1 rounded-full text-sm font-medium border transition ${splitMode === mode.id ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-600 border-gray-300 hover:bg-gray-50'}`}
+                >
+                  {mode.label}
+                </button>
               ))}
             </div>
+            {isItemized ? (
+              <ReceiptItemsFields
+                items={items}
+                tax={tax}
+                tip={tip}
+                currency={currency}
+                travelers={travelers}
+                error={splitError}
+                onItemsChange={setItems}
+                onTaxChange={setTax}
+                onTipChange={setTip}
+              />
+            ) : (
+              <div className="space-y-2">
+                {travelers.map(t => (
+                  <div key={t.id} className="flex items-center gap-3 p-2 rounded-lg hover:bg-gray-50">
+                    <label className="flex flex-1 items-center gap-3">
+                      <input
+                        type="checkbox"
+                        checked={splitWith[t.id] || false}
+                        onChange={() => handleSplitChange(t.id)}
+                        className="h-5 w-5 text-blue-600 rounded border-gray-300 focus:ring-blue-500"
+                      />
+                      <span className="text-gray-700">{t.name}</span>
+                    </label>
+                    {splitMode !== 'equal' && splitWith[t.id] && (
+                      <div className="flex items-center gap-1">
+                        <input
+                          type="number"
+                          min="0"
+                          step={splitMode === 'shares' ? '1' : splitMode === 'percentage' ? '0.01' : getCurrencyStep(currency)}
+                          value={splitValues[t.id] ?? ''}
+                          onChange={e => handleSplitValueChange(t.id, e.target.value)}
+                          className="w-28 p-2 border border-gray-300 rounded-lg shadow-sm text-right"
+                          placeholder={splitMode === 'shares' ? '1' : '0.00'}
+                        />
+                        <span className="text-sm text-gray-500 w-10">
+                          {splitMode === 'percentage' ? '%' : splitMode === 'shares' ? 'x' : currency}
+                        </span>
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+            {splitMode === 'exact' && (
+              <p className="text-sm text-gray-500 mt-2">
+                Asignado: {formatNumber(assignedTotal, currency)} de {formatNumber(parseFloat(amount) || 0, currency)}
+              </p>
+            )}
+            {splitMode === 'percentage' && (
+              <p className="text-sm text-gray-500 mt-2">Asignado: {assignedTotal.toFixed(2)}% de 100%</p>
+            )}
+            {!isItemized && splitError && participants.length > 0 && <p className="text-red-500 text-sm mt-1">{splitError}</p>}
           </div>
           
+          {budgetAlerts.length > 0 && (
+            <div className="p-3 bg-yellow-50 border border-yellow-300 rounded-lg text-sm text-yellow-800 space-y-1">
+              <p className="flex items-center gap-2 font-semibold">
+                <AlertTriangle className="w-4 h-4" /> Este gasto afecta al presupuesto:
+              </p>
+              <ul className="list-disc list-inside">
+                {budgetAlerts.map(alert => (
+                  <li key={alert.id}>
+                    {alert.label}: {formatNumber(alert.spent, alert.currency)} de {formatNumber(alert.limit, alert.currency)}
+                    {alert.status === 'over' ? ' (supera el límite)' : ` (${Math.round(alert.ratio * 100)}%)`}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
           <div className="pt-4">
-            <button type="submit" className={`w-full flex items-center justify-center gap-2 text-white font-bold py-3 px-6 rounded-lg shadow-lg transition duration-300 ${transaction ? 'bg-blue-600 hover:bg-blue-700' : 'bg-green-600 hover:bg-green-700'}`}>
-              {transaction ? <Edit className="w-5 h-5" /> : <Plus className="w-5 h-5" />} {transaction ? 'Guardar Cambios' : 'Añadir Gasto'}
+            <button type="submit" className={`w-full flex items-center justify-center gap-2 text-white font-bold py-3 px-6 rounded-lg shadow-lg transition duration-300 ${budgetAlerts.length > 0 ? 'bg-yellow-600 hover:bg-yellow-700' : transaction ? 'bg-blue-600 hover:bg-blue-700' : 'bg-green-600 hover:bg-green-700'}`}>
+              {transaction ? <Edit className="w-5 h-5" /> : isRecurring ? <Repeat className="w-5 h-5" /> : <Plus className="w-5 h-5" />}
+              {' '}{budgetAlerts.length > 0 ? 'Guardar de todos modos' : transaction ? 'Guardar Cambios' : isRecurring ? 'Añadir Gasto Recurrente' : 'Añadir Gasto'}
             </button>
           </div>
         </form>
@@ -685,42 +2299,219 @@ function ExpenseModal({ isOpen, onClose, travelers, transaction, onSave }) {
   );
 }
 
-// --- Componente: Modal para Registrar Pago de Deuda (Tipo 'settlement') ---
-function SettlementModal({ isOpen, onClose, travelers, transaction, onSave }) {
-    const [amount, setAmount] = useState(transaction?.amount || '');
-    const [currency, setCurrency] = useState(transaction?.currency || 'USD'); 
-    const [date, setDate] = useState(transaction?.date || new Date().toISOString().split('T')[0]);
-    const [payerId, setPayerId] = useState(transaction?.payerId || travelers[0]?.id || '');
-    const [receiverId, setReceiverId] = useState(transaction?.receiverId || travelers.find(t => t.id !== payerId)?.id || '');
-
-    // Ajustar el receptor si el pagador cambia y son iguales
-    useEffect(() => {
-        if (payerId === receiverId && travelers.length > 1) {
-            const defaultReceiver = travelers.find(t => t.id !== payerId)?.id;
-            setReceiverId(defaultReceiver || '');
-        }
-    }, [payerId, travelers, receiverId]);
-    
-    // Inicializar estados para edición
-    useEffect(() => {
-        if (transaction && transaction.type === 'settlement') {
-            setAmount(transaction.amount);
-            setCurrency(transaction.currency);
-            setDate(transaction.date);
-            setPayerId(transaction.payerId);
-            setReceiverId(transaction.receiverId);
-        }
-    }, [transaction]);
+// --- Componente: Líneas de un Ticket (modo de división por líneas) ---
+// Cada línea se asigna a uno o varios viajeros; impuestos y propina se reparten en proporción
+// a lo que consumió cada uno. Debajo se muestra la parte resultante de cada viajero.
+function ReceiptItemsFields({ items, tax, tip, currency, travelers, error, onItemsChange, onTaxChange, onTipChange }) {
+  const handleItemChange = (index, field, value) => {
+    onItemsChange(items.map((item, i) => (i === index ? { ...item, [field]: value } : item)));
+  };
 
+  const handleToggleTraveler = (index, travelerId) => {
+    const { travelerIds } = items[index];
+    handleItemChange(index, 'travelerIds', travelerIds.includes(travelerId)
+      ? travelerIds.filter(id => id !== travelerId)
+      : [...travelerIds, travelerId]);
+  };
 
-    const handleSubmit = (e) => {
-        e.preventDefault();
-        const finalAmount = parseFloat(amount);
+  const handleRemoveItem = (index) => {
+    onItemsChange(items.filter((_, i) => i !== index));
+  };
 
-        if (!finalAmount || finalAmount <= 0 || !date || !payerId || !receiverId || payerId === receiverId) {
-            console.error("Por favor, completa todos los campos y asegúrate de que el monto sea positivo y que el pagador y el receptor sean diferentes.");
-            return;
-        }
+  const total = computeItemizedTotal(items, tax, tip, currency);
+  const shares = error ? new Map() : computeExpenseShares({
+    amount: total,
+    currency,
+    splitWith: travelers.map(t => t.id),
+    splitMode: 'itemized',
+    ...buildItemizedFields('itemized', items, tax, tip),
+  });
+
+  return (
+    <div className="space-y-3">
+      {items.map((item, index) => (
+        <div key={index} className="p-3 rounded-lg border border-gray-200 space-y-2">
+          <div className="flex items-center gap-2">
+            <input
+              type="text"
+              value={item.description}
+              onChange={e => handleItemChange(index, 'description', e.target.value)}
+              className="flex-1 min-w-0 p-2 border border-gray-300 rounded-lg shadow-sm"
+              placeholder={`Línea ${index + 1} (pizza, vino...)`}
+              aria-label={`Descripción de la línea ${index + 1}`}
+            />
+            <input
+              type="number"
+              min="0"
+              step={getCurrencyStep(currency)}
+              value={item.amount}
+              onChange={e => handleItemChange(index, 'amount', e.target.value)}
+              className="w-28 p-2 border border-gray-300 rounded-lg shadow-sm text-right"
+              placeholder="0.00"
+              aria-label={`Monto de la línea ${index + 1}`}
+            />
+            <button
+              type="button"
+              onClick={() => handleRemoveItem(index)}
+              className="text-red-500 hover:text-red-700 transition"
+              aria-label="Eliminar línea"
+              title="Eliminar línea"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {travelers.map(t => (
+              <button
+                key={t.id}
+                type="button"
+                onClick={() => handleToggleTraveler(index, t.id)}
+                className={`px-3 py-1 rounded-full text-xs font-medium border transition ${item.travelerIds.includes(t.id) ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-600 border-gray-300 hover:bg-gray-50'}`}
+              >
+                {t.name}
+              </button>
+            ))}
+          </div>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => onItemsChange([...items, EMPTY_RECEIPT_ITEM])}
+        className="flex items-center gap-1 text-sm font-medium text-blue-600 hover:text-blue-800"
+      >
+        <Plus className="w-4 h-4" /> Añadir línea
+      </button>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <label htmlFor="tax" className="block text-sm font-medium text-gray-700 mb-1">Impuestos</label>
+          <input type="number" id="tax" min="0" step={getCurrencyStep(currency)} value={tax} onChange={e => onTaxChange(e.target.value)} className="w-full p-2 border border-gray-300 rounded-lg shadow-sm" placeholder="0.00" />
+        </div>
+        <div>
+          <label htmlFor="tip" className="block text-sm font-medium text-gray-700 mb-1">Propina</label>
+          <input type="number" id="tip" min="0" step={getCurrencyStep(currency)} value={tip} onChange={e => onTipChange(e.target.value)} className="w-full p-2 border border-gray-300 rounded-lg shadow-sm" placeholder="0.00" />
+        </div>
+      </div>
+
+      {error ? (
+        <p className="text-red-500 text-sm">{error}</p>
+      ) : (
+        <div className="text-sm text-gray-600">
+          <p className="font-medium text-gray-700">Total del ticket: {formatNumber(total, currency)}</p>
+          <ul className="mt-1 space-y-0.5">
+            {travelers.filter(t => shares.has(t.id) && shares.get(t.id) > 0).map(t => (
+              <li key={t.id} className="flex justify-between">
+                <span>{t.name}</span>
+                <span>{formatNumber(shares.get(t.id), currency)}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// --- Componente: Campos de Monto Cobrado en Otra Moneda (usado por ambos modales) ---
+function ChargedAmountFields({ amount, currency, currencies, charge, onChange }) {
+  const numericAmount = parseFloat(amount);
+  const numericValue = parseFloat(charge.value);
+  const isActive = charge.currency && charge.currency !== currency;
+  const { chargedAmount, exchangeRate } = buildChargeFields(numericAmount, currency, charge);
+
+  return (
+    <div className="p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+      <label htmlFor="chargedCurrency" className="block text-sm font-medium text-gray-700">Cobrado en otra moneda (opcional)</label>
+      <select
+        id="chargedCurrency"
+        value={charge.currency}
+        onChange={e => onChange({ ...charge, currency: e.target.value })}
+        className="w-full p-3 border border-gray-300 rounded-lg shadow-sm bg-white"
+      >
+        <option value="">No, misma moneda</option>
+        {withCurrentCurrency(currencies, charge.currency).filter(c => c.code !== currency).map(c => (
+          <option key={c.code} value={c.code}>{c.name}</option>
+        ))}
+      </select>
+
+      {isActive && (
+        <>
+          <div className="flex gap-2">
+            {[{ id: 'amount', label: 'Monto cobrado' }, { id: 'rate', label: 'Tasa de cambio' }].map(mode => (
+              <button
+                key={mode.id}
+                type="button"
+                onClick={() => onChange({ ...charge, mode: mode.id, value: '' })}
+                className={`px-3 py-1 rounded-full text-sm font-medium border transition ${charge.mode === mode.id ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-600 border-gray-300 hover:bg-gray-50'}`}
+              >
+                {mode.label}
+              </button>
+            ))}
+          </div>
+          <div className="flex items-center gap-2">
+            {charge.mode === 'rate' && <span className="text-gray-700">1 {currency} =</span>}
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={charge.value}
+              onChange={e => onChange({ ...charge, value: e.target.value })}
+              className="w-40 p-2 border border-gray-300 rounded-lg shadow-sm text-right"
+              placeholder="0.00"
+            />
+            <span className="text-gray-500">{charge.currency}</span>
+          </div>
+          {numericAmount > 0 && numericValue > 0 && (
+            <p className="text-xs text-gray-500">
+              {charge.mode === 'amount'
+                ? `Tasa aplicada: 1 ${currency} = ${exchangeRate.toFixed(6)} ${charge.currency}`
+                : `Monto cobrado: ${formatNumber(chargedAmount, charge.currency)}`}
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+// --- Componente: Modal para Registrar Pago de Deuda (Tipo 'settlement') ---
+function SettlementModal({ isOpen, onClose, travelers, currencies, transaction, onSave }) {
+    const [amount, setAmount] = useState(transaction?.amount || '');
+    const [currency, setCurrency] = useState(transaction?.currency || currencies[0]?.code || 'USD'); 
+    const [date, setDate] = useState(transaction?.date || new Date().toISOString().split('T')[0]);
+    const [payerId, setPayerId] = useState(transaction?.payerId || travelers[0]?.id || '');
+    const [receiverId, setReceiverId] = useState(transaction?.receiverId || travelers.find(t => t.id !== payerId)?.id || '');
+    const [charge, setCharge] = useState(() => initialChargeState(transaction));
+
+    // Ajustar el receptor si el pagador cambia y son iguales
+    useEffect(() => {
+        if (payerId === receiverId && travelers.length > 1) {
+            const defaultReceiver = travelers.find(t => t.id !== payerId)?.id;
+            setReceiverId(defaultReceiver || '');
+        }
+    }, [payerId, travelers, receiverId]);
+    
+    // Inicializar estados para edición
+    useEffect(() => {
+        if (transaction && transaction.type === 'settlement') {
+            setAmount(transaction.amount);
+            setCurrency(transaction.currency);
+            setDate(transaction.date);
+            setPayerId(transaction.payerId);
+            setReceiverId(transaction.receiverId);
+            setCharge(initialChargeState(transaction));
+        }
+    }, [transaction]);
+
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const finalAmount = parseFloat(amount);
+
+        if (!finalAmount || finalAmount <= 0 || !date || !payerId || !receiverId || payerId === receiverId) {
+            console.error("Por favor, completa todos los campos y asegúrate de que el monto sea positivo y que el pagador y el receptor sean diferentes.");
+            return;
+        }
 
         const transactionData = {
             type: 'settlement', // Definir el tipo
@@ -730,6 +2521,7 @@ function SettlementModal({ isOpen, onClose, travelers, transaction, onSave }) {
             date,
             payerId, // Nuevo campo
             receiverId, // Nuevo campo
+            ...buildChargeFields(finalAmount, currency, charge),
         };
 
         onSave(transactionData, transaction?.id); 
@@ -752,17 +2544,19 @@ function SettlementModal({ isOpen, onClose, travelers, transaction, onSave }) {
                     <div className="grid grid-cols-2 gap-4">
                         <div>
                             <label htmlFor="amount" className="block text-sm font-medium text-gray-700 mb-1">Monto Pagado</label>
-                            <input type="number" id="amount" value={amount} onChange={e => setAmount(e.target.value)} required min="0.01" step="0.01" className="w-full p-3 border border-gray-300 rounded-lg shadow-sm" placeholder="0.00" />
+                            <input type="number" id="amount" value={amount} onChange={e => setAmount(e.target.value)} required min={getCurrencyStep(currency)} step={getCurrencyStep(currency)} className="w-full p-3 border border-gray-300 rounded-lg shadow-sm" placeholder="0.00" />
                         </div>
                         <div>
                             <label htmlFor="currency" className="block text-sm font-medium text-gray-700 mb-1">Moneda</label>
                             <select id="currency" value={currency} onChange={e => setCurrency(e.target.value)} required className="w-full p-3 border border-gray-300 rounded-lg shadow-sm bg-white">
-                                {CURRENCIES.map(c => (
+                                {withCurrentCurrency(currencies, currency).map(c => (
                                     <option key={c.code} value={c.code}>{c.name}</option>
                                 ))}
                             </select>
                         </div>
                     </div>
+
+                    <ChargedAmountFields amount={amount} currency={currency} currencies={currencies} charge={charge} onChange={setCharge} />
                     
                     <div>
                         <label htmlFor="date" className="block text-sm font-medium text-gray-700 mb-1">Fecha</label>
@@ -799,12 +2593,179 @@ function SettlementModal({ isOpen, onClose, travelers, transaction, onSave }) {
     );
 }
 
+// --- Utilidades para Buscar y Filtrar el Historial ---
+const EMPTY_TRANSACTION_FILTERS = {
+  query: '', type: 'all', payerId: '', participantId: '', currency: '', category: '', dateFrom: '', dateTo: '',
+};
+
+// Criterios de orden del historial. Los montos se comparan sin convertir entre monedas; las
+// transacciones anteriores a `createdAt` cuentan como las más antiguas.
+const TRANSACTION_SORTS = [
+  { id: 'date-desc', label: 'Fecha (recientes primero)', compare: (a, b) => String(b.date).localeCompare(String(a.date)) },
+  { id: 'date-asc', label: 'Fecha (antiguas primero)', compare: (a, b) => String(a.date).localeCompare(String(b.date)) },
+  { id: 'amount-desc', label: 'Monto (mayor primero)', compare: (a, b) => b.amount - a.amount },
+  { id: 'amount-asc', label: 'Monto (menor primero)', compare: (a, b) => a.amount - b.amount },
+  { id: 'created-desc', label: 'Añadidas recientemente', compare: (a, b) => (b.createdAt || 0) - (a.createdAt || 0) },
+  { id: 'created-asc', label: 'Añadidas primero', compare: (a, b) => (a.createdAt || 0) - (b.createdAt || 0) },
+];
+
+const normalizeSearchText = (text) => String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+// Quién pagó y quién participa en una transacción (en liquidaciones, el pagador y el receptor)
+const getTransactionPayerIds = (t) => (t.type === 'settlement' ? [t.payerId] : getExpensePayers(t).map(p => p.id));
+const getTransactionParticipantIds = (t) => (t.type === 'settlement' ? [t.receiverId] : t.splitWith || []);
+
+const filterTransactions = (transactions, filters, categories) => {
+  const query = normalizeSearchText(filters.query.trim());
+  return transactions.filter(t => (
+    (!query || normalizeSearchText(t.description).includes(query)) &&
+    (filters.type === 'all' || t.type === filters.type) &&
+    (!filters.payerId || getTransactionPayerIds(t).includes(filters.payerId)) &&
+    (!filters.participantId || getTransactionParticipantIds(t).includes(filters.participantId)) &&
+    (!filters.currency || t.currency === filters.currency) &&
+    (!filters.category || (t.type === 'expense' && getExpenseCategoryId(t, categories) === filters.category)) &&
+    (!filters.dateFrom || t.date >= filters.dateFrom) &&
+    (!filters.dateTo || t.date <= filters.dateTo)
+  ));
+};
+
+// Suma por moneda de un tipo de transacción: [{ currency, amount, count }]
+const sumTransactionsByCurrency = (transactions, type) => {
+  const totals = new Map();
+  for (const t of transactions.filter(t => t.type === type)) {
+    const total = totals.get(t.currency) || { amount: 0, count: 0 };
+    totals.set(t.currency, { amount: total.amount + toMinorUnits(t.amount, t.currency), count: total.count + 1 });
+  }
+  return Array.from(totals.entries()).map(([currency, { amount, count }]) => ({
+    currency, amount: fromMinorUnits(amount, currency), count,
+  }));
+};
+
+// Texto de participantes para el historial; en divisiones desiguales muestra la parte de cada uno
+const formatSplitDetail = (expense, travelerMap) => {
+  if (!expense.splitMode || expense.splitMode === 'equal') {
+    return expense.splitWith.map(id => travelerMap.get(id)).join(', ');
+  }
+  const shares = computeExpenseShares(expense);
+  return expense.splitWith
+    .map(id => `${travelerMap.get(id)} (${formatNumber(shares.get(id), expense.currency)})`)
+    .join(', ');
+};
+
+// Texto de las líneas de un ticket para el historial: "Pizza 12,00 € (Ana, Luis) · ..."
+const formatItemsDetail = (expense, travelerMap) => [
+  ...(expense.items || []).map(item => (
+    `${item.description || 'Sin descripción'} ${formatNumber(item.amount, expense.currency)} (${Array.from(new Set(item.travelerIds)).map(id => travelerMap.get(id)).join(', ')})`
+  )),
+  ...(expense.tax > 0 ? [`Impuestos ${formatNumber(expense.tax, expense.currency)}`] : []),
+  ...(expense.tip > 0 ? [`Propina ${formatNumber(expense.tip, expense.currency)}`] : []),
+].join(' · ');
+
+// Texto de pagadores para el historial; con varios pagadores muestra el aporte de cada uno
+const formatPayersDetail = (expense, travelerMap) => {
+  const payers = getExpensePayers(expense);
+  if (payers.length <= 1) return travelerMap.get(expense.paidBy);
+  return payers
+    .map(p => `${travelerMap.get(p.id)} (${formatNumber(p.amount, expense.currency)})`)
+    .join(', ');
+};
+
+// --- Componente: Gastos Recurrentes (dentro del historial) ---
+const getFrequencyLabel = (frequency) => RECURRENCE_FREQUENCIES.find(f => f.id === frequency)?.label || frequency;
+
+function RecurringExpenses({ templates, travelerMap, onEdit, onStop, onDelete }) {
+  const today = new Date().toISOString().split('T')[0];
+  const sortedTemplates = [...templates].sort((a, b) => String(a.startDate).localeCompare(String(b.startDate)));
+
+  const formatShortDate = (date) => new Date(date).toLocaleDateString('es-ES', { day: 'numeric', month: 'short' });
+
+  const handleStopClick = (template) => {
+    const confirmStop = window.confirm || (() => true); // Fallback simple para el entorno
+    if (confirmStop(`¿Detener "${template.description}"? No se crearán más gastos después de hoy; los ya creados se conservan.`)) {
+      onStop(template.id);
+    }
+  };
+
+  const handleDeleteClick = (template) => {
+    const confirmDelete = window.confirm || (() => true); // Fallback simple para el entorno
+    if (confirmDelete(`¿Eliminar la serie "${template.description}"? Los gastos que ya creó se conservan en el historial.`)) {
+      onDelete(template.id);
+    }
+  };
+
+  return (
+    <div className="mb-6 p-4 bg-blue-50 rounded-lg border border-blue-200">
+      <h4 className="flex items-center gap-2 font-semibold text-blue-800 mb-2">
+        <Repeat className="w-4 h-4" /> Gastos recurrentes
+      </h4>
+      <ul className="divide-y divide-blue-100">
+        {sortedTemplates.map(template => {
+          const nextDate = getNextOccurrenceDate(template, today);
+          // Una serie que aún no ha empezado no se detiene: no ha creado gastos y se puede eliminar
+          const canStop = Boolean(nextDate) && template.startDate <= today;
+          return (
+            <li key={template.id} className="flex items-center justify-between gap-3 py-2 text-sm">
+              <div className="flex-1">
+                <p className="font-medium text-gray-800">
+                  {template.description} · {formatNumber(template.amount, template.currency)}
+                </p>
+                <p className="text-xs text-gray-600">
+                  {getFrequencyLabel(template.frequency)} desde el {formatShortDate(template.startDate)}
+                  {template.endDate && ` hasta el ${formatShortDate(template.endDate)}`}
+                  {' | '}Pagado por {travelerMap.get(template.paidBy) || '...'}
+                  {' | '}{nextDate ? `Próximo: ${formatShortDate(nextDate)}` : 'Terminado'}
+                </p>
+              </div>
+              <div className="flex gap-2">
+                <button onClick={() => onEdit(template)} className="text-blue-500 hover:text-blue-700 transition" aria-label="Editar serie" title="Editar serie">
+                  <Edit className="w-4 h-4" />
+                </button>
+                {canStop && (
+                  <button onClick={() => handleStopClick(template)} className="text-yellow-600 hover:text-yellow-800 transition" aria-label="Detener serie" title="Detener serie">
+                    <StopCircle className="w-4 h-4" />
+                  </button>
+                )}
+                <button onClick={() => handleDeleteClick(template)} className="text-red-500 hover:text-red-700 transition" aria-label="Eliminar serie" title="Eliminar serie">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
 // --- Componente: Lista de Transacciones (Gastos y Liquidaciones) ---
-function ExpenseList({ transactions, travelerMap, onDeleteTransaction, onEditTransaction }) {
-  // Ordenar transacciones por fecha
+function ExpenseList({
+  transactions, pendingTransactionIds, recurringTemplates = [], travelerMap, categories, onDeleteTransaction, onEditTransaction,
+  onEditRecurring, onStopRecurring, onDeleteRecurring,
+}) {
+  const categoryMap = useMemo(() => new Map(categories.map(c => [c.id, c.label])), [categories]);
+  const templateMap = useMemo(() => new Map(recurringTemplates.map(t => [t.id, t])), [recurringTemplates]);
+  const [filters, setFilters] = useState(EMPTY_TRANSACTION_FILTERS);
+  const [sortId, setSortId] = useState('date-desc');
+  const [showFilters, setShowFilters] = useState(false);
+
+  const usedCurrencies = useMemo(() => Array.from(new Set(transactions.map(t => t.currency))).sort(), [transactions]);
+  const activeFilterCount = Object.keys(EMPTY_TRANSACTION_FILTERS)
+    .filter(key => key !== 'query' && filters[key] !== EMPTY_TRANSACTION_FILTERS[key]).length;
+  const isFiltered = activeFilterCount > 0 || filters.query.trim() !== '';
+
+  const handleFilterChange = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+  };
+
+  // Filtrar y ordenar; a igualdad de criterio, las añadidas más tarde van primero
   const sortedTransactions = useMemo(() => {
-    return [...transactions].sort((a, b) => new Date(b.date) - new Date(a.date));
-  }, [transactions]);
+    const { compare } = TRANSACTION_SORTS.find(s => s.id === sortId);
+    return filterTransactions(transactions, filters, categories)
+      .sort((a, b) => compare(a, b) || (b.createdAt || 0) - (a.createdAt || 0));
+  }, [transactions, filters, categories, sortId]);
+
+  const expenseTotals = useMemo(() => sumTransactionsByCurrency(sortedTransactions, 'expense'), [sortedTransactions]);
+  const settlementTotals = useMemo(() => sumTransactionsByCurrency(sortedTransactions, 'settlement'), [sortedTransactions]);
   
   const handleDeleteClick = (id) => {
       // Uso de modal de confirmación en lugar de window.confirm()
@@ -818,41 +2779,188 @@ function ExpenseList({ transactions, travelerMap, onDeleteTransaction, onEditTra
   return (
     <div className="p-6 bg-white rounded-xl shadow-lg border border-gray-200">
       <h3 className="text-xl font-semibold text-gray-800 mb-4">Historial de Transacciones</h3>
+      {recurringTemplates.length > 0 && (
+        <RecurringExpenses
+          templates={recurringTemplates}
+          travelerMap={travelerMap}
+          onEdit={onEditRecurring}
+          onStop={onStopRecurring}
+          onDelete={onDeleteRecurring}
+        />
+      )}
+      {transactions.length > 0 && (
+        <div className="space-y-3 mb-4">
+          <div className="flex flex-col sm:flex-row gap-2">
+            <div className="relative flex-1">
+              <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+              <input
+                type="search"
+                value={filters.query}
+                onChange={e => handleFilterChange('query', e.target.value)}
+                className="w-full pl-9 p-2 border border-gray-300 rounded-lg shadow-sm"
+                placeholder="Buscar por descripción..."
+                aria-label="Buscar por descripción"
+              />
+            </div>
+            <select value={sortId} onChange={e => setSortId(e.target.value)} className="p-2 border border-gray-300 rounded-lg shadow-sm bg-white" aria-label="Ordenar por">
+              {TRANSACTION_SORTS.map(s => (
+                <option key={s.id} value={s.id}>{s.label}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={() => setShowFilters(prev => !prev)}
+              className={`flex items-center justify-center gap-2 py-2 px-4 rounded-lg border font-medium transition ${showFilters || activeFilterCount > 0 ? 'bg-blue-50 text-blue-700 border-blue-300' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'}`}
+            >
+              <Filter className="w-4 h-4" /> Filtros{activeFilterCount > 0 && ` (${activeFilterCount})`}
+            </button>
+          </div>
+
+          {showFilters && (
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 p-4 bg-gray-50 rounded-lg border border-gray-200 text-sm">
+              <label className="flex flex-col gap-1">
+                <span className="font-medium text-gray-700">Tipo</span>
+                <select value={filters.type} onChange={e => handleFilterChange('type', e.target.value)} className="p-2 border border-gray-300 rounded-lg bg-white">
+                  <option value="all">Todas</option>
+                  <option value="expense">Gastos</option>
+                  <option value="settlement">Liquidaciones</option>
+                </select>
+              </label>
+              <label className="flex flex-col gap-1">
+                <span className="font-medium text-gray-700">Pagado por</span>
+                <select value={filters.payerId} onChange={e => handleFilterChange('payerId', e.target.value)} className="p-2 border border-gray-300 rounded-lg bg-white">
+                  <option value="">Cualquiera</option>
+                  {Array.from(travelerMap).map(([id, name]) => <option key={id} value={id}>{name}</option>)}
+                </select>
+              </label>
+              <label className="flex flex-col gap-1">
+                <span className="font-medium text-gray-700">Participante / receptor</span>
+                <select value={filters.participantId} onChange={e => handleFilterChange('participantId', e.target.value)} className="p-2 border border-gray-300 rounded-lg bg-white">
+                  <option value="">Cualquiera</option>
+                  {Array.from(travelerMap).map(([id, name]) => <option key={id} value={id}>{name}</option>)}
+                </select>
+              </label>
+              <label className="flex flex-col gap-1">
+                <span className="font-medium text-gray-700">Moneda</span>
+                <select value={filters.currency} onChange={e => handleFilterChange('currency', e.target.value)} className="p-2 border border-gray-300 rounded-lg bg-white">
+                  <option value="">Todas</option>
+                  {usedCurrencies.map(code => <option key={code} value={code}>{getCurrencyName(code)}</option>)}
+                </select>
+              </label>
+              <label className="flex flex-col gap-1">
+                <span className="font-medium text-gray-700">Categoría</span>
+                <select value={filters.category} onChange={e => handleFilterChange('category', e.target.value)} className="p-2 border border-gray-300 rounded-lg bg-white">
+                  <option value="">Todas</option>
+                  {categories.map(c => <option key={c.id} value={c.id}>{c.label}</option>)}
+                </select>
+              </label>
+              <div className="flex flex-col gap-1">
+                <span className="font-medium text-gray-700">Fechas</span>
+                <div className="flex items-center gap-1">
+                  <input type="date" value={filters.dateFrom} onChange={e => handleFilterChange('dateFrom', e.target.value)} className="flex-1 min-w-0 p-2 border border-gray-300 rounded-lg" aria-label="Desde" />
+                  <span className="text-gray-400">–</span>
+                  <input type="date" value={filters.dateTo} onChange={e => handleFilterChange('dateTo', e.target.value)} className="flex-1 min-w-0 p-2 border border-gray-300 rounded-lg" aria-label="Hasta" />
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Totales del conjunto filtrado */}
+          <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-sm text-gray-600">
+            <span>
+              {isFiltered ? `${sortedTransactions.length} de ${transactions.length} transacciones` : `${transactions.length} transacciones`}
+            </span>
+            {expenseTotals.length > 0 && (
+              <span>
+                Gastos: <span className="font-semibold text-green-700">{expenseTotals.map(t => formatNumber(t.amount, t.currency)).join(' + ')}</span>
+              </span>
+            )}
+            {settlementTotals.length > 0 && (
+              <span>
+                Liquidaciones: <span className="font-semibold text-yellow-700">{settlementTotals.map(t => formatNumber(t.amount, t.currency)).join(' + ')}</span>
+              </span>
+            )}
+            {isFiltered && (
+              <button type="button" onClick={() => setFilters(EMPTY_TRANSACTION_FILTERS)} className="text-blue-600 hover:text-blue-800 font-medium sm:ml-auto">
+                Limpiar filtros
+              </button>
+            )}
+          </div>
+        </div>
+      )}
       {sortedTransactions.length === 0 ? (
-        <p className="text-gray-500 text-center py-8">Aún no hay transacciones registradas.</p>
+        <p className="text-gray-500 text-center py-8">
+          {transactions.length === 0 ? 'Aún no hay transacciones registradas.' : 'Ninguna transacción coincide con la búsqueda.'}
+        </p>
       ) : (
         <ul className="divide-y divide-gray-200 max-h-[600px] overflow-y-auto pr-2">
           {sortedTransactions.map(t => {
             const isExpense = t.type === 'expense';
+            const categoryId = isExpense ? getExpenseCategoryId(t, categories) : null;
+            const template = t.recurringId ? templateMap.get(t.recurringId) : null;
             
             return (
               <li key={t.id} className="flex items-start justify-between gap-4 py-4 animate-fade-in-sm">
+                <span
+                  className={`mt-1 p-2 rounded-full ${isExpense ? 'bg-green-50 text-green-600' : 'bg-yellow-50 text-yellow-600'}`}
+                  title={isExpense ? categoryMap.get(categoryId) : 'Liquidación'}
+                >
+                  {isExpense ? <CategoryIcon categoryId={categoryId} className="w-5 h-5" /> : <Send className="w-5 h-5" />}
+                </span>
                 <div className="flex-1">
                   {/* Título y descripción */}
-                  <p className={`font-semibold ${isExpense ? 'text-gray-800' : 'text-yellow-700'}`}>
+                  <p className={`flex items-center gap-1 font-semibold ${isExpense ? 'text-gray-800' : 'text-yellow-700'}`}>
                     {isExpense ? t.description : `Pago de Deuda: ${travelerMap.get(t.payerId)} a ${travelerMap.get(t.receiverId)}`}
+                    {t.recurringId && (
+                      <span title="Gasto recurrente" aria-label="Gasto recurrente">
+                        <Repeat className="w-4 h-4 text-blue-500" />
+                      </span>
+                    )}
                   </p>
                   
                   {/* Detalles */}
                   <div className="text-sm text-gray-600 mt-1">
                     {isExpense ? (
-                      <p>Pagado por <span className="font-medium text-blue-600">{travelerMap.get(t.paidBy) || '...'}</span></p>
+                      <p>Pagado por <span className="font-medium text-blue-600">{formatPayersDetail(t, travelerMap) || '...'}</span></p>
                     ) : (
                       <p>Liquidación registrada</p>
                     )}
                     <p className="text-xs text-gray-500">
                         {new Date(t.date).toLocaleDateString('es-ES', { day: 'numeric', month: 'short' })}
-                        {isExpense && ` | Dividido entre: ${t.splitWith.map(id => travelerMap.get(id)).join(', ')}`}
+                        {isExpense && ` | Dividido entre: ${formatSplitDetail(t, travelerMap)}`}
                     </p>
+                    {isExpense && t.splitMode === 'itemized' && (
+                      <p className="text-xs text-gray-500">Ticket: {formatItemsDetail(t, travelerMap)}</p>
+                    )}
                   </div>
                 </div>
                 
                 <div className="flex flex-col items-end gap-1">
-                  <span className={`text-lg font-bold whitespace-nowrap ${isExpense ? 'text-green-600' : 'text-yellow-600'}`}>
+                  <span className={`flex items-center gap-1 text-lg font-bold whitespace-nowrap ${isExpense ? 'text-green-600' : 'text-yellow-600'}`}>
+                    {pendingTransactionIds?.has(t.id) && (
+                      <span title="Pendiente de sincronizar" aria-label="Pendiente de sincronizar">
+                        <CloudOff className="w-4 h-4 text-orange-500" />
+                      </span>
+                    )}
                     {/* Aplicar formato de miles y moneda */}
                     {formatNumber(t.amount, t.currency)}
                   </span>
+                  {t.chargedCurrency && t.chargedAmount > 0 && (
+                    <span className="text-xs text-gray-500 whitespace-nowrap">
+                      Cobrado: {formatNumber(t.chargedAmount, t.chargedCurrency)}
+                    </span>
+                  )}
                   <div className="flex gap-2">
+                      {template && (
+                        <button
+                          onClick={() => onEditRecurring(template)}
+                          className="text-blue-500 hover:text-blue-700 transition"
+                          aria-label="Editar serie"
+                          title="Editar serie"
+                        >
+                          <Repeat className="w-4 h-4" />
+                        </button>
+                      )}
                       <button
                         onClick={() => onEditTransaction(t)}
                         className="text-blue-500 hover:text-blue-700 transition"
@@ -880,129 +2988,190 @@ function ExpenseList({ transactions, travelerMap, onDeleteTransaction, onEditTra
   );
 }
 
-// --- Componente: Pantalla de Resumen (LÓGICA ACTUALIZADA) ---
-function SummaryPage({ travelers, transactions }) {
-  
-  const { totalsByTraveler, settlements, totalExpensesByCurrency } = useMemo(() => {
-    // 1. Inicializar totales por viajero para cada moneda
-    const travelerTotals = new Map(travelers.map(t => [t.id, {
-      name: t.name,
-      ...CURRENCIES.reduce((acc, c) => ({
-        ...acc,
-        [c.code]: { paid: 0, share: 0, balance: 0 } // balance es el balance NETO
-      }), {})
-    }]));
-    
-    let totalExpensesByCurrency = CURRENCIES.reduce((acc, c) => ({ ...acc, [c.code]: 0 }), {});
-
-    // --- PRIMER PASO: Calcular 'paid' y 'share' basados SOLO en GASTOS ('expense') ---
-    const expenses = transactions.filter(t => t.type === 'expense');
-
-    for (const expense of expenses) {
-      const { amount, currency, paidBy, splitWith } = expense;
-      if (!totalExpensesByCurrency.hasOwnProperty(currency)) continue; 
+// --- Componente: Lista de Transferencias Recomendadas (con "Marcar como pagado") ---
+// Sin `onMarkPaid` la lista es solo informativa.
+function RecommendedTransfers({ transfers, currency, travelerMap, onMarkPaid }) {
+  const [payingIndex, setPayingIndex] = useState(null); // Transferencia con el formulario abierto
+  const [partialAmount, setPartialAmount] = useState('');
 
-      totalExpensesByCurrency[currency] += amount;
-      const sharePerPerson = amount / splitWith.length;
-
-      // Sumar al que pagó
-      if (travelerTotals.has(paidBy)) {
-        travelerTotals.get(paidBy)[currency].paid += amount;
-      }
+  const openPayment = (index, transfer) => {
+    setPayingIndex(index);
+    setPartialAmount(String(transfer.amount));
+  };
 
-      // Sumar la parte (deuda) a cada participante
-      for (const participantId of splitWith) {
-        if (travelerTotals.has(participantId)) {
-          travelerTotals.get(participantId)[currency].share += sharePerPerson;
-        }
-      }
+  const handleConfirm = (e, transfer) => {
+    e.preventDefault();
+    const amount = roundAmount(parseFloat(partialAmount) || 0, currency);
+    if (amount <= 0 || amount > transfer.amount) {
+      console.error("El monto debe ser positivo y no mayor que la transferencia recomendada.");
+      return;
     }
+    onMarkPaid(transfer, currency, amount);
+    setPayingIndex(null);
+  };
 
-    // 2. Calcular BALANCE INICIAL (solo con gastos) y aplicar LIQUIDACIONES
-    const settlementsTransactions = transactions.filter(t => t.type === 'settlement');
+  return (
+    <ul className="space-y-3 p-4 bg-gray-50 rounded-lg border border-gray-200">
+      {transfers.map((t, index) => (
+        <li key={`${t.from}-${t.to}-${index}`} className="text-gray-800">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <div className="flex flex-wrap items-center">
+              <span className="font-medium">{travelerMap.get(t.from)}</span> debe
+              <span className="font-bold mx-2 text-red-600">
+                {formatNumber(t.amount, currency)}
+              </span>
+              a <span className="font-medium ml-2">{travelerMap.get(t.to)}</span>
+            </div>
+            {onMarkPaid && payingIndex !== index && (
+              <button
+                type="button"
+                onClick={() => openPayment(index, t)}
+                className="flex items-center gap-1 text-sm bg-yellow-600 text-white font-bold py-1 px-3 rounded-lg shadow hover:bg-yellow-700 transition duration-300"
+              >
+                <Check className="w-4 h-4" /> Marcar pagado
+              </button>
+            )}
+          </div>
+          {onMarkPaid && payingIndex === index && (
+            <form onSubmit={(e) => handleConfirm(e, t)} className="flex flex-wrap items-center gap-2 mt-2">
+              <input
+                type="number"
+                min={getCurrencyStep(currency)}
+                max={t.amount}
+                step={getCurrencyStep(currency)}
+                value={partialAmount}
+                onChange={e => setPartialAmount(e.target.value)}
+                className="w-36 p-2 border border-gray-300 rounded-lg shadow-sm text-right"
+              />
+              <span className="text-sm text-gray-500">{currency}</span>
+              <button type="submit" className="text-sm bg-green-600 text-white font-bold py-2 px-3 rounded-lg shadow hover:bg-green-700 transition duration-300">
+                Registrar pago
+              </button>
+              <button type="button" onClick={() => setPayingIndex(null)} className="text-sm text-gray-500 hover:text-gray-700">
+                Cancelar
+              </button>
+            </form>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
 
-    for (const data of travelerTotals.values()) {
-      for (const currency of CURRENCIES.map(c => c.code)) {
-        // Balance inicial = Pagado - Parte
-        data[currency].balance = data[currency].paid - data[currency].share;
-      }
-    }
+const SETTLEMENT_STRATEGY_OPTIONS = [
+  { id: 'minimal', label: 'Menos transferencias', description: 'Busca el mínimo número de pagos para saldar todo' },
+  { id: 'greedy', label: 'Mayor deudor primero', description: 'Empareja al que más debe con al que más le deben' },
+];
 
-    // 3. Aplicar pagos manuales ('settlement') al balance
-    for (const settlement of settlementsTransactions) {
-        const { amount, currency, payerId, receiverId } = settlement;
-        
-        if (travelerTotals.has(payerId) && travelerTotals.has(receiverId)) {
-            // El pagador reduce su deuda (balance negativo) o su crédito (balance positivo)
-            travelerTotals.get(payerId)[currency].balance += amount; 
-            
-            // El receptor reduce su crédito (balance positivo) o aumenta su deuda (balance negativo)
-            travelerTotals.get(receiverId)[currency].balance -= amount;
-        }
-    }
-    
-    // 4. Algoritmo para saldar cuentas (por moneda) basado en el balance NETO
-    const finalSettlements = {};
+// --- Componente: Progreso del Presupuesto ---
+const BUDGET_BAR_COLORS = { ok: 'bg-green-500', warning: 'bg-yellow-500', over: 'bg-red-500' };
 
-    for (const currency of CURRENCIES.map(c => c.code)) {
-      const owers = []; // Deben dinero (saldo negativo)
-      const owees = []; // Les deben dinero (saldo positivo)
+function BudgetLine({ line, currency }) {
+  return (
+    <li>
+      <div className="flex justify-between items-center gap-3 text-sm">
+        <span className="text-gray-700">{line.label}</span>
+        <span className={`whitespace-nowrap ${line.status === 'over' ? 'text-red-600 font-bold' : 'text-gray-800 font-semibold'}`}>
+          {formatNumber(line.spent, currency)} / {formatNumber(line.limit, currency)} ({Math.round(line.ratio * 100)}%)
+        </span>
+      </div>
+      <div className="h-2 mt-1 bg-gray-100 rounded-full overflow-hidden">
+        <div className={`h-full rounded-full ${BUDGET_BAR_COLORS[line.status]}`} style={{ width: `${Math.min(100, line.ratio * 100)}%` }} />
+      </div>
+    </li>
+  );
+}
 
-      for (const [id, data] of travelerTotals.entries()) {
-        // Redondear el balance a dos decimales
-        const finalBalance = parseFloat(data[currency].balance.toFixed(2));
-        data[currency].balance = finalBalance; // Sobreescribir con el balance ajustado y redondeado
-        
-        if (finalBalance < -0.01) { 
-          owers.push({ id, amount: -finalBalance }); // Guardar como positivo
-        } else if (finalBalance > 0.01) {
-          owees.push({ id, amount: finalBalance });
-        }
-      }
-      
-      const transactions = [];
-      owers.sort((a, b) => b.amount - a.amount);
-      owees.sort((a, b) => b.amount - a.amount);
+function BudgetProgress({ status }) {
+  const { currency, overall, categories, travelers, projection, missingRates } = status;
 
-      let owerIndex = 0;
-      let oweeIndex = 0;
+  return (
+    <div className="p-6 bg-white rounded-xl shadow-lg border border-gray-200 space-y-6">
+      <h4 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+        <Target className="w-6 h-6 text-green-600" /> Presupuesto ({currency})
+      </h4>
+      {missingRates.length > 0 && (
+        <p className="text-sm text-red-600 bg-red-50 p-3 rounded-lg border border-red-200">
+          Faltan tasas de cambio para: {missingRates.join(', ')}. Esos gastos no se cuentan; configúralas en Ajustes.
+        </p>
+      )}
+      {overall && (
+        <ul>
+          <BudgetLine line={overall} currency={currency} />
+        </ul>
+      )}
+      {!projection && (
+        <p className="text-xs text-gray-500">Indica la fecha de fin del viaje en Ajustes para ver el gasto proyectado.</p>
+      )}
+      {projection && (
+        <p className="text-sm text-gray-600">
+          Ritmo: {formatNumber(projection.dailyRate, currency)} al día (día {projection.elapsedDays} de {projection.totalDays}).
+          {' '}Gasto proyectado al final del viaje:{' '}
+          <span className={`font-semibold ${overall && projection.projected > overall.limit ? 'text-red-600' : 'text-gray-800'}`}>
+            {formatNumber(projection.projected, currency)}
+          </span>
+          {overall && projection.projected > overall.limit && ' (por encima del presupuesto)'}
+        </p>
+      )}
+      {categories.length > 0 && (
+        <div>
+          <h5 className="text-lg font-semibold text-gray-700 mb-3">Por categoría</h5>
+          <ul className="space-y-3">
+            {categories.map(line => <BudgetLine key={line.id} line={line} currency={currency} />)}
+          </ul>
+        </div>
+      )}
+      {travelers.length > 0 && (
+        <div>
+          <h5 className="text-lg font-semibold text-gray-700 mb-3">Por viajero</h5>
+          <ul className="space-y-3">
+            {travelers.map(line => <BudgetLine key={line.id} line={line} currency={currency} />)}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
 
-      while (owerIndex < owers.length && oweeIndex < owees.length) {
-        const ower = owers[owerIndex];
-        const owee = owees[oweeIndex];
-        
-        const amountToTransfer = Math.min(
-          parseFloat(ower.amount.toFixed(2)), 
-          parseFloat(owee.amount.toFixed(2))
-        );
+// --- Componente: Pantalla de Resumen (LÓGICA ACTUALIZADA) ---
+function SummaryPage({ travelers, transactions, trip, currencies, categories, onSaveTransaction, onOpenReport }) {
+  const [strategy, handleStrategyChange] = useSettlementStrategy();
+  const {
+    summaryCurrencies, totalsByTraveler, settlements, totalExpensesByCurrency, baseCurrency, consolidated, travelerMap,
+  } = useTripSummary({ travelers, transactions, trip, currencies, strategy });
+  // Liquidar en la moneda base ('base') o en cada moneda ('currency'); solo la vista activa
+  // permite marcar pagos, para no registrar la misma deuda dos veces
+  const [settleIn, setSettleIn] = useState('base');
+  const settlesInBase = Boolean(consolidated) && settleIn === 'base';
 
-        transactions.push({
-          from: ower.id,
-          to: owee.id,
-          amount: amountToTransfer,
-        });
+  const budgetStatus = useMemo(() => (
+    trip?.budget ? computeTripBudgetStatus(trip, travelers, transactions, categories) : null
+  ), [trip, travelers, transactions, categories]);
 
-        ower.amount = parseFloat((ower.amount - amountToTransfer).toFixed(2));
-        owee.amount = parseFloat((owee.amount - amountToTransfer).toFixed(2));
+  const summaryCurrencyCodes = summaryCurrencies.map(c => c.code);
 
-        if (ower.amount < 0.01) owerIndex++;
-        if (owee.amount < 0.01) oweeIndex++;
-      }
-      
-      finalSettlements[currency] = { transactions };
-    }
+  const handleExportBalances = () => {
+    const csv = buildBalancesCsv({ currencies: summaryCurrencyCodes, totalsByTraveler, consolidated, baseCurrency });
+    downloadFile(getExportFileName(trip?.name, 'balances'), csv);
+  };
 
-    return { 
-      totalsByTraveler: Array.from(travelerTotals.values()), 
-      settlements: finalSettlements, 
-      totalExpensesByCurrency 
-    };
+  const handleExportTransfers = () => {
+    const csv = buildTransfersCsv({ travelers, currencies: summaryCurrencyCodes, settlements, consolidated, baseCurrency });
+    downloadFile(getExportFileName(trip?.name, 'transferencias'), csv);
+  };
 
-  }, [travelers, transactions]); // Depende de todas las transacciones
-  
-  const travelerMap = useMemo(() => {
-    return new Map(travelers.map(t => [t.id, t.name]));
-  }, [travelers]);
+  // Registra una transferencia recomendada (total o parcial) como liquidación
+  const handleMarkPaid = (transfer, currency, amount) => {
+    onSaveTransaction({
+      type: 'settlement',
+      description: `${travelerMap.get(transfer.from)} pagó a ${travelerMap.get(transfer.to)}`,
+      amount,
+      currency,
+      date: new Date().toISOString().split('T')[0],
+      payerId: transfer.from,
+      receiverId: transfer.to,
+    });
+  };
 
   return (
     <div className="space-y-8 animate-fade-in">
@@ -1011,7 +3180,7 @@ function SummaryPage({ travelers, transactions }) {
       <div>
         <h3 className="text-xl font-semibold text-gray-800 mb-4">Gasto Total del Viaje (Excluyendo Liquidaciones)</h3>
         <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
-          {CURRENCIES.map(c => (
+          {summaryCurrencies.map(c => (
             <div key={c.code} className="p-4 bg-blue-50 rounded-xl border border-blue-200 text-center">
               <h4 className="text-md font-medium text-blue-800">{c.name}</h4>
               <p className="text-2xl font-bold text-blue-600 mt-1">
@@ -1022,19 +3191,128 @@ function SummaryPage({ travelers, transactions }) {
         </div>
       </div>
       
+      {budgetStatus && <BudgetProgress status={budgetStatus} />}
+
+      {/* --- Exportación --- */}
+      <div className="flex flex-wrap justify-end gap-3">
+        <button
+          type="button"
+          onClick={onOpenReport}
+          className="flex items-center gap-2 bg-white text-gray-700 font-semibold py-2 px-4 rounded-lg shadow border border-gray-300 hover:bg-gray-50 transition sm:mr-auto"
+        >
+          <Printer className="w-4 h-4" /> Informe para imprimir
+        </button>
+        <button
+          type="button"
+          onClick={handleExportBalances}
+          className="flex items-center gap-2 bg-white text-gray-700 font-semibold py-2 px-4 rounded-lg shadow border border-gray-300 hover:bg-gray-50 transition"
+        >
+          <Download className="w-4 h-4" /> Balances (CSV)
+        </button>
+        <button
+          type="button"
+          onClick={handleExportTransfers}
+          className="flex items-center gap-2 bg-white text-gray-700 font-semibold py-2 px-4 rounded-lg shadow border border-gray-300 hover:bg-gray-50 transition"
+        >
+          <Download className="w-4 h-4" /> Transferencias (CSV)
+        </button>
+      </div>
+
+      {/* --- Estrategia de Liquidación --- */}
+      <div className="flex flex-wrap items-center gap-3">
+        <span className="text-sm font-medium text-gray-700">Liquidación recomendada:</span>
+        {SETTLEMENT_STRATEGY_OPTIONS.map(option => (
+          <button
+            key={option.id}
+            type="button"
+            onClick={() => handleStrategyChange(option.id)}
+            title={option.description}
+            className={`px-3 py-1 rounded-full text-sm font-medium border transition ${strategy === option.id ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-600 border-gray-300 hover:bg-gray-50'}`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+      {consolidated && (
+        <div className="flex flex-wrap items-center gap-3">
+          <span className="text-sm font-medium text-gray-700">Liquidar en:</span>
+          {[{ id: 'base', label: `Moneda base (${baseCurrency})` }, { id: 'currency', label: 'Cada moneda' }].map(option => (
+            <button
+              key={option.id}
+              type="button"
+              onClick={() => setSettleIn(option.id)}
+              className={`px-3 py-1 rounded-full text-sm font-medium border transition ${settleIn === option.id ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-600 border-gray-300 hover:bg-gray-50'}`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* --- Balance Consolidado en la Moneda Base --- */}
+      {consolidated ? (
+        <div className="p-6 bg-white rounded-xl shadow-lg border border-indigo-200">
+          <h4 className="text-xl font-bold text-gray-800 mb-4 flex items-center gap-2">
+            <Scale className="w-6 h-6 text-indigo-600" /> Balance Consolidado en {baseCurrency}
+          </h4>
+          {consolidated.missingRates.length > 0 && (
+            <p className="text-sm text-red-600 bg-red-50 p-3 rounded-lg border border-red-200 mb-4">
+              Faltan tasas de cambio para: {consolidated.missingRates.join(', ')}. Esos saldos no se incluyen; configúralas en Ajustes.
+            </p>
+          )}
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 rounded-lg overflow-hidden">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Viajero</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Balance NETO ({baseCurrency})</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {consolidated.balances.map(t => (
+                  <tr key={t.id} className={`${t.balance < 0 ? 'bg-red-50' : t.balance > 0 ? 'bg-green-50' : ''}`}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{t.name}</td>
+                    <td className={`px-6 py-4 whitespace-nowrap text-sm font-bold text-right ${t.balance < 0 ? 'text-red-600' : t.balance > 0 ? 'text-green-600' : 'text-gray-600'}`}>
+                      {formatNumber(t.balance, baseCurrency)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <h5 className="text-lg font-semibold text-gray-700 mt-8 mb-3">Liquidación Final Recomendada ({baseCurrency})</h5>
+          {consolidated.transactions.length > 0 ? (
+            <RecommendedTransfers
+              transfers={consolidated.transactions}
+              currency={baseCurrency}
+              travelerMap={travelerMap}
+              onMarkPaid={settlesInBase ? handleMarkPaid : null}
+            />
+          ) : (
+            <p className="text-green-600 bg-green-50 p-3 rounded-lg border border-green-200">
+              ¡Cuentas saldadas! No se necesita hacer más pagos.
+            </p>
+          )}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500 bg-gray-50 p-3 rounded-lg border border-gray-200">
+          Configura una moneda base en Ajustes para ver un balance consolidado con una sola liquidación.
+        </p>
+      )}
+
       {/* --- Resumen por Moneda --- */}
       <div className="space-y-8">
-        {CURRENCIES.map(currency => {
-          const { code, symbol } = currency;
+        {summaryCurrencies.map(currency => {
+          const { code } = currency;
           const currencyTotals = totalsByTraveler.map(t => ({
+            id: t.id,
             name: t.name,
             ...t[code]
           }));
-          
-          const totalInCurrency = totalExpensesByCurrency[code];
 
           // Solo renderizar si hay transacciones o totales en esta moneda
-          if (totalInCurrency > 0.01 || transactions.some(t => t.currency === code && t.type === 'settlement')) {
+          if (hasCurrencyActivity(code, totalExpensesByCurrency, transactions)) {
             return (
               <div key={code} className="p-6 bg-white rounded-xl shadow-lg border border-gray-200">
                 <h4 className="text-xl font-bold text-gray-800 mb-4 flex items-center gap-2">
@@ -1055,7 +3333,7 @@ function SummaryPage({ travelers, transactions }) {
                     </thead>
                     <tbody className="bg-white divide-y divide-gray-200">
                       {currencyTotals.map(t => (
-                        <tr key={t.name} className={`${t.balance < -0.01 ? 'bg-red-50' : t.balance > 0.01 ? 'bg-green-50' : ''}`}>
+                        <tr key={t.id} className={`${t.balance < 0 ? 'bg-red-50' : t.balance > 0 ? 'bg-green-50' : ''}`}>
                           <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{t.name}</td>
                           <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-500">
                             {formatNumber(t.paid, code)}
@@ -1063,7 +3341,7 @@ function SummaryPage({ travelers, transactions }) {
                           <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-500">
                             {formatNumber(t.share, code)}
                           </td>
-                          <td className={`px-6 py-4 whitespace-nowrap text-sm font-bold text-right ${t.balance < -0.01 ? 'text-red-600' : t.balance > 0.01 ? 'text-green-600' : 'text-gray-600'}`}>
+                          <td className={`px-6 py-4 whitespace-nowrap text-sm font-bold text-right ${t.balance < 0 ? 'text-red-600' : t.balance > 0 ? 'text-green-600' : 'text-gray-600'}`}>
                             {formatNumber(t.balance, code)}
                           </td>
                         </tr>
@@ -1075,17 +3353,12 @@ function SummaryPage({ travelers, transactions }) {
                 {/* Sección de Liquidación Final */}
                 <h5 className="text-lg font-semibold text-gray-700 mt-8 mb-3">Liquidación Final Recomendada ({code})</h5>
                 {settlements[code].transactions.length > 0 ? (
-                  <ul className="space-y-3 p-4 bg-gray-50 rounded-lg border border-gray-200">
-                    {settlements[code].transactions.map((t, index) => (
-                      <li key={index} className="flex flex-wrap items-center text-gray-800">
-                        <span className="font-medium">{travelerMap.get(t.from)}</span> debe
-                        <span className="font-bold mx-2 text-red-600">
-                          {formatNumber(t.amount, code)}
-                        </span>
-                        a <span className="font-medium ml-2">{travelerMap.get(t.to)}</span>
-                      </li>
-                    ))}
-                  </ul>
+                  <RecommendedTransfers
+                    transfers={settlements[code].transactions}
+                    currency={code}
+                    travelerMap={travelerMap}
+                    onMarkPaid={settlesInBase ? null : handleMarkPaid}
+                  />
                 ) : (
                   <p className="text-green-600 bg-green-50 p-3 rounded-lg border border-green-200">
                     ¡Cuentas saldadas en {code}! No se necesita hacer más pagos.
@@ -1102,31 +3375,969 @@ function SummaryPage({ travelers, transactions }) {
 }
 
 
-// --- Componentes Nuevos (TripSelector, TripSetup, LoadingSpinner - sin cambios) ---
+// --- Componente: Análisis de Gastos (por Categoría, Viajero y Día) ---
+// Solo cuenta gastos, no liquidaciones. Cada moneda se analiza por separado.
 
-function TripSetup({ onCreateTrip }) {
-  const [tripName, setTripName] = useState('');
+// Fila con una barra proporcional al máximo de la lista
+function BreakdownBar({ label, icon, amount, max, currency, detail }) {
+  const width = max > 0 ? Math.max(2, Math.round((amount / max) * 100)) : 0;
+  return (
+    <li>
+      <div className="flex justify-between items-center gap-3 text-sm">
+        <span className="flex items-center gap-2 text-gray-700">
+          {icon}
+          {label}
+          {detail && <span className="text-xs text-gray-400">{detail}</span>}
+        </span>
+        <span className="font-semibold text-gray-800 whitespace-nowrap">{formatNumber(amount, currency)}</span>
+      </div>
+      <div className="h-2 mt-1 bg-gray-100 rounded-full overflow-hidden">
+        <div className="h-full bg-blue-500 rounded-full" style={{ width: `${width}%` }} />
+      </div>
+    </li>
+  );
+}
 
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    if (tripName.trim()) {
-      onCreateTrip(tripName.trim());
-    }
-  };
+function AnalyticsPage({ travelers, transactions, currencies, categories }) {
+  const breakdown = useMemo(() => computeSpendingBreakdown({
+    travelers, transactions, categories, currencies: currencies.map(c => c.code),
+  }), [travelers, transactions, categories, currencies]);
+
+  if (breakdown.length === 0) {
+    return <p className="text-gray-500 text-center py-8">Aún no hay gastos para analizar.</p>;
+  }
 
   return (
-    <div className="animate-fade-in text-center p-8">
-      <h2 className="text-2xl font-semibold text-gray-800 mb-6">Crear tu Primer Viaje</h2>
-      <p className="text-gray-600 mb-8">¡Bienvenido! Vamos a empezar dándole un nombre a tu viaje.</p>
-      <form onSubmit={handleSubmit} className="flex flex-col sm:flex-row gap-4 max-w-lg mx-auto">
-        <input
-          type="text"
-          placeholder="Ej: Viaje a la Costa, Eurotrip 2025"
-          value={tripName}
-          onChange={(e) => setTripName(e.target.value)}
-          required
-          className="flex-1 p-3 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
-        />
+    <div className="space-y-8 animate-fade-in">
+      {breakdown.map(({ currency, total, byCategory, byTraveler, byDay }) => {
+        const maxCategory = Math.max(...byCategory.map(c => c.amount));
+        const maxTraveler = Math.max(...byTraveler.map(t => t.share));
+        const maxDay = Math.max(...byDay.map(d => d.amount));
+
+        return (
+          <div key={currency} className="p-6 bg-white rounded-xl shadow-lg border border-gray-200 space-y-8">
+            <h4 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+              <PieChart className="w-6 h-6 text-blue-600" /> Gastos en {getCurrencyName(currency)}
+              <span className="ml-auto text-blue-600">{formatNumber(total, currency)}</span>
+            </h4>
+
+            <div>
+              <h5 className="text-lg font-semibold text-gray-700 mb-3">Por categoría</h5>
+              <ul className="space-y-3">
+                {byCategory.map(c => (
+                  <BreakdownBar
+                    key={c.id}
+                    label={c.label}
+                    icon={<CategoryIcon categoryId={c.id} className="w-4 h-4 text-gray-500" />}
+                    detail={`${Math.round((c.amount / total) * 100)}% · ${c.count} gasto(s)`}
+                    amount={c.amount}
+                    max={maxCategory}
+                    currency={currency}
+                  />
+                ))}
+              </ul>
+            </div>
+
+            <div>
+              <h5 className="text-lg font-semibold text-gray-700 mb-1">Por viajero</h5>
+              <p className="text-xs text-gray-500 mb-3">La barra muestra la parte de cada uno (lo que consumió); al lado, lo que pagó.</p>
+              <ul className="space-y-3">
+                {byTraveler.map(t => (
+                  <BreakdownBar
+                    key={t.id}
+                    label={t.name}
+                    detail={`pagó ${formatNumber(t.paid, currency)}`}
+                    amount={t.share}
+                    max={maxTraveler}
+                    currency={currency}
+                  />
+                ))}
+              </ul>
+            </div>
+
+            <div>
+              <h5 className="text-lg font-semibold text-gray-700 mb-3">Por día</h5>
+              <ul className="space-y-3">
+                {byDay.map(d => (
+                  <BreakdownBar
+                    key={d.date}
+                    label={d.date
+                      ? new Date(d.date).toLocaleDateString('es-ES', { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' })
+                      : 'Sin fecha'}
+                    amount={d.amount}
+                    max={maxDay}
+                    currency={currency}
+                  />
+                ))}
+              </ul>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// --- Componente: Informe de Liquidación para Imprimir ---
+// Vista pensada para papel o "Guardar como PDF" del navegador: sin interacción, con tablas
+// compactas y secciones que no se parten entre páginas. Usa los mismos cálculos que el resumen.
+
+// Fechas de las transacciones (YYYY-MM-DD) en formato largo; en UTC para no cambiar de día
+const formatReportDate = (date) => (
+  new Date(date).toLocaleDateString('es-ES', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' })
+);
+
+const reportCellClass = 'px-3 py-2 text-sm';
+const reportHeaderClass = 'px-3 py-2 text-xs font-medium text-gray-500 uppercase tracking-wider';
+
+function ReportTransfers({ transfers, currency, travelerMap }) {
+  if (transfers.length === 0) {
+    return <p className="text-sm text-gray-600">Cuentas saldadas en {currency}: no se necesita hacer más pagos.</p>;
+  }
+  return (
+    <ol className="list-decimal list-inside space-y-1 text-sm text-gray-800">
+      {transfers.map((t, index) => (
+        <li key={`${t.from}-${t.to}-${index}`}>
+          <span className="font-medium">{travelerMap.get(t.from)}</span> paga{' '}
+          <span className="font-bold">{formatNumber(t.amount, currency)}</span> a{' '}
+          <span className="font-medium">{travelerMap.get(t.to)}</span>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+function SettlementReport({ travelers, transactions, trip, currencies, onBack }) {
+  const [strategy] = useSettlementStrategy();
+  const {
+    summaryCurrencies, totalsByTraveler, settlements, totalExpensesByCurrency, baseCurrency, consolidated, travelerMap,
+  } = useTripSummary({ travelers, transactions, trip, currencies, strategy });
+
+  const activeCurrencies = summaryCurrencies.filter(c => hasCurrencyActivity(c.code, totalExpensesByCurrency, transactions));
+
+  // Apéndice en orden cronológico (al revés que el historial) para leerlo como un diario del viaje
+  const sortedTransactions = useMemo(() => (
+    [...transactions].sort((a, b) => new Date(a.date) - new Date(b.date))
+  ), [transactions]);
+
+  const dates = sortedTransactions.map(t => t.date).filter(Boolean);
+  const dateRange = dates.length === 0
+    ? 'Sin transacciones'
+    : dates[0] === dates[dates.length - 1]
+      ? formatReportDate(dates[0])
+      : `Del ${formatReportDate(dates[0])} al ${formatReportDate(dates[dates.length - 1])}`;
+
+  return (
+    <div className="space-y-8 text-gray-900 animate-fade-in print:space-y-6">
+      <div className="flex flex-wrap justify-between gap-3 print:hidden">
+        <button
+          type="button"
+          onClick={onBack}
+          className="flex items-center gap-2 bg-white text-gray-700 font-semibold py-2 px-4 rounded-lg shadow border border-gray-300 hover:bg-gray-50 transition"
+        >
+          <ArrowLeft className="w-4 h-4" /> Volver al resumen
+        </button>
+        <button
+          type="button"
+          onClick={() => window.print()}
+          className="flex items-center gap-2 bg-blue-600 text-white font-bold py-2 px-4 rounded-lg shadow hover:bg-blue-700 transition"
+        >
+          <Printer className="w-4 h-4" /> Imprimir / Guardar PDF
+        </button>
+      </div>
+
+      {/* --- Cabecera del Informe --- */}
+      <div className="border-b-2 border-gray-800 pb-4">
+        <p className="text-sm uppercase tracking-wider text-gray-500">Informe de liquidación</p>
+        <h2 className="text-3xl font-bold">{trip?.name || 'Viaje'}</h2>
+        <p className="text-gray-700 mt-1">{dateRange}</p>
+        <p className="text-sm text-gray-500 mt-1">
+          {travelers.length} viajeros: {travelers.map(t => t.name).join(', ')}
+        </p>
+        <p className="text-xs text-gray-400 mt-1">Generado el {new Date().toLocaleDateString('es-ES', { day: 'numeric', month: 'long', year: 'numeric' })}</p>
+      </div>
+
+      {/* --- Gasto Total por Moneda --- */}
+      <section className="break-inside-avoid">
+        <h3 className="text-xl font-semibold mb-3">Gasto total</h3>
+        {activeCurrencies.length > 0 ? (
+          <ul className="flex flex-wrap gap-x-8 gap-y-2">
+            {activeCurrencies.map(c => (
+              <li key={c.code}>
+                <span className="text-sm text-gray-500">{c.name}: </span>
+                <span className="text-lg font-bold">{formatNumber(totalExpensesByCurrency[c.code], c.code)}</span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-600">Todavía no hay gastos registrados.</p>
+        )}
+      </section>
+
+      {/* --- Liquidación Consolidada --- */}
+      {consolidated && (
+        <section className="break-inside-avoid">
+          <h3 className="text-xl font-semibold mb-3">Liquidación consolidada en {baseCurrency}</h3>
+          {consolidated.missingRates.length > 0 && (
+            <p className="text-sm text-red-600 mb-3">
+              Faltan tasas de cambio para: {consolidated.missingRates.join(', ')}. Esos saldos no se incluyen.
+            </p>
+          )}
+          <table className="min-w-full border border-gray-300 mb-4">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className={`${reportHeaderClass} text-left`}>Viajero</th>
+                <th className={`${reportHeaderClass} text-right`}>Balance neto ({baseCurrency})</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {consolidated.balances.map(t => (
+                <tr key={t.id}>
+                  <td className={`${reportCellClass} font-medium`}>{t.name}</td>
+                  <td className={`${reportCellClass} text-right font-bold`}>{formatNumber(t.balance, baseCurrency)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <h4 className="font-semibold mb-2">Transferencias recomendadas</h4>
+          <ReportTransfers transfers={consolidated.transactions} currency={baseCurrency} travelerMap={travelerMap} />
+        </section>
+      )}
+
+      {/* --- Detalle por Moneda --- */}
+      {activeCurrencies.map(({ code, name }) => (
+        <section key={code} className="break-inside-avoid">
+          <h3 className="text-xl font-semibold mb-3">{name} ({code})</h3>
+          <table className="min-w-full border border-gray-300 mb-4">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className={`${reportHeaderClass} text-left`}>Viajero</th>
+                <th className={`${reportHeaderClass} text-right`}>Pagado</th>
+                <th className={`${reportHeaderClass} text-right`}>Parte</th>
+                <th className={`${reportHeaderClass} text-right`}>Balance neto</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {totalsByTraveler.map(t => (
+                <tr key={t.id}>
+                  <td className={`${reportCellClass} font-medium`}>{t.name}</td>
+                  <td className={`${reportCellClass} text-right`}>{formatNumber(t[code].paid, code)}</td>
+                  <td className={`${reportCellClass} text-right`}>{formatNumber(t[code].share, code)}</td>
+                  <td className={`${reportCellClass} text-right font-bold`}>{formatNumber(t[code].balance, code)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <h4 className="font-semibold mb-2">Transferencias recomendadas ({code})</h4>
+          <ReportTransfers transfers={settlements[code].transactions} currency={code} travelerMap={travelerMap} />
+        </section>
+      ))}
+
+      {/* --- Apéndice: Todas las Transacciones --- */}
+      <section className="print:break-before-page">
+        <h3 className="text-xl font-semibold mb-3">Apéndice: transacciones ({sortedTransactions.length})</h3>
+        {sortedTransactions.length > 0 ? (
+          <table className="min-w-full border border-gray-300">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className={`${reportHeaderClass} text-left`}>Fecha</th>
+                <th className={`${reportHeaderClass} text-left`}>Descripción</th>
+                <th className={`${reportHeaderClass} text-left`}>Detalle</th>
+                <th className={`${reportHeaderClass} text-right`}>Monto</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {sortedTransactions.map(t => (
+                <tr key={t.id} className="break-inside-avoid align-top">
+                  <td className={`${reportCellClass} whitespace-nowrap`}>
+                    {new Date(t.date).toLocaleDateString('es-ES', { day: 'numeric', month: 'short', timeZone: 'UTC' })}
+                  </td>
+                  <td className={reportCellClass}>
+                    {t.description}
+                    {t.type === 'settlement' && <span className="text-xs text-gray-500"> (liquidación)</span>}
+                  </td>
+                  <td className={`${reportCellClass} text-gray-600`}>
+                    {t.type === 'settlement'
+                      ? `${travelerMap.get(t.payerId)} pagó a ${travelerMap.get(t.receiverId)}`
+                      : `Pagado por ${formatPayersDetail(t, travelerMap)}; dividido entre ${formatSplitDetail(t, travelerMap)}`}
+                  </td>
+                  <td className={`${reportCellClass} text-right whitespace-nowrap font-medium`}>
+                    {formatNumber(t.amount, t.currency)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p className="text-sm text-gray-600">No hay transacciones en este viaje.</p>
+        )}
+      </section>
+    </div>
+  );
+}
+
+// Valores del formulario de ajustes a partir de los datos guardados del viaje
+const getTripSettingsForm = (trip) => ({
+  tripName: trip?.name || '',
+  details: getTripDetails(trip),
+  budgetForm: getBudgetFormState(trip?.budget),
+  currencyCodes: getTripCurrencies(trip).map(c => c.code),
+  baseCurrency: trip?.baseCurrency || '',
+  rates: Object.fromEntries(
+    Object.entries(trip?.exchangeRates || {}).map(([code, rate]) => [code, String(rate)])
+  ),
+});
+
+// --- Componente: Ajustes del Viaje (Moneda Base y Tasas de Cambio) ---
+function TripSettings({ trip, travelers, transactions, recurringTemplates, userId, categories, onUpdateTrip, onLinkTraveler, onRestoreBackup }) {
+  const [tripName, setTripName] = useState(trip?.name || '');
+  const [details, setDetails] = useState(() => getTripDetails(trip));
+  const [budgetForm, setBudgetForm] = useState(() => getBudgetFormState(trip?.budget));
+  const [currencyCodes, setCurrencyCodes] = useState([]); // Monedas habilitadas en el viaje
+  const [newCurrency, setNewCurrency] = useState('');
+  const [baseCurrency, setBaseCurrency] = useState(trip?.baseCurrency || '');
+  const [rates, setRates] = useState({}); // { code -> tasa en texto del input }
+  const [ratesBase, setRatesBase] = useState(trip?.baseCurrency || ''); // Moneda respecto a la que están `rates`
+  const [ratesNotice, setRatesNotice] = useState('');
+
+  // Una moneda con transacciones registradas no se puede deshabilitar
+  const usedCurrencies = useMemo(() => new Set(transactions.map(t => t.currency)), [transactions]);
+  const currencies = currencyCodes.map(code => ({ code, name: getCurrencyName(code) }));
+  const availableCodes = ALL_CURRENCY_CODES.filter(code => !currencyCodes.includes(code));
+
+  // Formulario tal como se cargó del viaje ({ tripId, form }): si el actual es distinto hay
+  // cambios sin guardar
+  const seededRef = useRef(null);
+  const formRef = useRef(null);
+  formRef.current = { tripName, details, budgetForm, currencyCodes, baseCurrency, rates };
+
+  const loadForm = (tripId, form) => {
+    seededRef.current = { tripId, form };
+    setTripName(form.tripName);
+    setDetails(form.details);
+    setBudgetForm(form.budgetForm);
+    setCurrencyCodes(form.currencyCodes);
+    setBaseCurrency(form.baseCurrency);
+    setRates(form.rates);
+    setRatesBase(form.baseCurrency);
+    setRatesNotice('');
+  };
+
+  // Solo se recarga al cambiar de viaje o si no hay cambios sin guardar: las categorías, o un
+  // miembro que se une, también actualizan el viaje y no deben borrar lo que se está editando
+  useEffect(() => {
+    const seeded = seededRef.current;
+    const hasEdits = seeded && JSON.stringify(formRef.current) !== JSON.stringify(seeded.form);
+    if (seeded && seeded.tripId === trip?.id && hasEdits) return;
+    loadForm(trip?.id, getTripSettingsForm(trip));
+  }, [trip]);
+
+  const handleRateChange = (code, value) => {
+    setRates(prev => ({ ...prev, [code]: value }));
+  };
+
+  // Las tasas son relativas a la moneda base: al cambiarla se recalculan con la tasa de la nueva
+  // base como pivote y, si no la hay, se vacían para volver a escribirlas
+  const handleBaseCurrencyChange = (code) => {
+    setBaseCurrency(code);
+    if (!code || code === ratesBase) return;
+    const numericRates = Object.fromEntries(
+      Object.entries(rates).map(([rateCode, value]) => [rateCode, parseFloat(value)]).filter(([, rate]) => rate > 0)
+    );
+    const rebased = ratesBase ? rebaseExchangeRates(numericRates, ratesBase, code) : null;
+    setRates(rebased
+      ? Object.fromEntries(Object.entries(rebased).map(([rateCode, rate]) => [rateCode, String(rate)]))
+      : {});
+    setRatesNotice(rebased
+      ? `Las tasas se han recalculado respecto a ${code}. Revísalas antes de guardar.`
+      : Object.keys(numericRates).length > 0 ? `Las tasas anteriores no valen para ${code}: vuelve a escribirlas.` : '');
+    setRatesBase(code);
+  };
+
+  const handleAddCurrency = () => {
+    if (!newCurrency || currencyCodes.includes(newCurrency)) return;
+    setCurrencyCodes(prev => [...prev, newCurrency]);
+    setNewCurrency('');
+  };
+
+  const handleRemoveCurrency = (code) => {
+    if (usedCurrencies.has(code) || currencyCodes.length <= 1) return;
+    setCurrencyCodes(prev => prev.filter(c => c !== code));
+    if (baseCurrency === code) setBaseCurrency('');
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (currencyCodes.length === 0) {
+      console.error('El viaje necesita al menos una moneda.');
+      return;
+    }
+    if (!tripName.trim()) {
+      console.error('El nombre del viaje no puede estar vacío.');
+      return;
+    }
+    const detailsError = validateTripDetails(details);
+    if (detailsError) {
+      console.error('Datos del viaje inválidos:', detailsError);
+      return;
+    }
+    const exchangeRates = {};
+    for (const [code, value] of Object.entries(rates)) {
+      const rate = parseFloat(value);
+      if (code !== baseCurrency && currencyCodes.includes(code) && rate > 0) exchangeRates[code] = rate;
+    }
+    const updates = {
+      name: tripName.trim(),
+      ...buildTripDetailsFields(details),
+      budget: buildBudget(budgetForm, budgetForm.currency || baseCurrency || currencyCodes[0]),
+      currencies: currencyCodes,
+      baseCurrency: baseCurrency || null,
+      exchangeRates,
+    };
+    onUpdateTrip(updates);
+    // Lo guardado pasa a ser el formulario sin cambios
+    loadForm(trip?.id, getTripSettingsForm({ ...trip, ...updates }));
+  };
+
+  return (
+    <div className="animate-fade-in">
+      <h2 className="text-2xl font-semibold text-gray-800 mb-6">Ajustes del Viaje</h2>
+      <ShareTripSection trip={trip} travelers={travelers} userId={userId} onLinkTraveler={onLinkTraveler} />
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <div className="space-y-4">
+          <div>
+            <label htmlFor="tripName" className="block text-sm font-medium text-gray-700 mb-1">Nombre del viaje</label>
+            <input
+              id="tripName"
+              type="text"
+              value={tripName}
+              onChange={e => setTripName(e.target.value)}
+              required
+              className="w-full p-3 border border-gray-300 rounded-lg shadow-sm"
+            />
+          </div>
+          <TripDetailsFields details={details} onChange={setDetails} />
+          <BudgetFields
+            form={budgetForm}
+            onChange={setBudgetForm}
+            currencies={currencies}
+            defaultCurrency={baseCurrency || currencyCodes[0] || ''}
+            categories={categories}
+            travelers={travelers}
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Monedas del viaje</label>
+          <div className="flex flex-wrap gap-2 mb-3">
+            {currencies.map(c => {
+              const isLocked = usedCurrencies.has(c.code) || currencyCodes.length <= 1;
+              return (
+                <span key={c.code} className="flex items-center gap-1 pl-3 pr-2 py-1 bg-blue-50 text-blue-800 border border-blue-200 rounded-full text-sm">
+                  {c.name}
+                  <button
+                    type="button"
+                    onClick={() => handleRemoveCurrency(c.code)}
+                    disabled={isLocked}
+                    className="text-blue-400 hover:text-red-600 disabled:opacity-30 disabled:hover:text-blue-400"
+                    aria-label={`Quitar ${c.code}`}
+                    title={usedCurrencies.has(c.code) ? 'Hay transacciones en esta moneda' : `Quitar ${c.code}`}
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </span>
+              );
+            })}
+          </div>
+          <div className="flex gap-2 max-w-md">
+            <select value={newCurrency} onChange={e => setNewCurrency(e.target.value)} className="flex-1 p-3 border border-gray-300 rounded-lg shadow-sm bg-white">
+              <option value="">Añadir moneda...</option>
+              {availableCodes.map(code => (
+                <option key={code} value={code}>{getCurrencyName(code)}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={handleAddCurrency}
+              disabled={!newCurrency}
+              className="flex items-center gap-1 bg-green-600 text-white font-bold py-2 px-4 rounded-lg shadow-md hover:bg-green-700 transition duration-300 disabled:opacity-50"
+            >
+              <Plus className="w-5 h-5" /> Añadir
+            </button>
+          </div>
+        </div>
+
+        <div>
+          <label htmlFor="baseCurrency" className="block text-sm font-medium text-gray-700 mb-1">Moneda base</label>
+          <select id="baseCurrency" value={baseCurrency} onChange={e => handleBaseCurrencyChange(e.target.value)} className="w-full max-w-xs p-3 border border-gray-300 rounded-lg shadow-sm bg-white">
+            <option value="">Sin moneda base</option>
+            {currencies.map(c => (
+              <option key={c.code} value={c.code}>{c.name}</option>
+            ))}
+          </select>
+          <p className="text-xs text-gray-500 mt-1">Todos los saldos se convierten a esta moneda para calcular una única liquidación.</p>
+        </div>
+
+        {baseCurrency && (
+          <div className="space-y-3">
+            <label className="block text-sm font-medium text-gray-700">Tasas de cambio:</label>
+            {ratesNotice && <p className="text-sm text-yellow-700">{ratesNotice}</p>}
+            {currencies.filter(c => c.code !== baseCurrency).map(c => (
+              <div key={c.code} className="flex items-center gap-3">
+                <span className="text-gray-700 w-20">1 {c.code} =</span>
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={rates[c.code] ?? ''}
+                  onChange={e => handleRateChange(c.code, e.target.value)}
+                  className="w-40 p-2 border border-gray-300 rounded-lg shadow-sm text-right"
+                  placeholder="0.00"
+                />
+                <span className="text-gray-500">{baseCurrency}</span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="pt-4">
+          <button
+            type="submit"
+            className="w-full sm:w-auto flex items-center justify-center gap-2 bg-blue-600 text-white font-bold py-3 px-6 rounded-lg shadow-lg hover:bg-blue-700 transition duration-300"
+          >
+            Guardar Ajustes
+          </button>
+        </div>
+      </form>
+      <CategoriesSection trip={trip} categories={categories} transactions={transactions} onUpdateTrip={onUpdateTrip} />
+      <BackupSection trip={trip} travelers={travelers} transactions={transactions} recurring={recurringTemplates} onRestoreBackup={onRestoreBackup} />
+    </div>
+  );
+}
+
+// Presupuesto total del viaje y, opcionalmente, límites por categoría y por viajero
+function BudgetFields({ form, onChange, currencies, defaultCurrency, categories, travelers }) {
+  const [showDetails, setShowDetails] = useState(
+    () => Object.keys(form.categories).length > 0 || Object.keys(form.travelers).length > 0
+  );
+  const currency = form.currency || defaultCurrency;
+  const handleChange = (field, value) => onChange({ ...form, [field]: value });
+  const handleLimitChange = (group, id, value) => onChange({ ...form, [group]: { ...form[group], [id]: value } });
+
+  const renderLimitInput = (group, id, label) => (
+    <div key={id} className="flex items-center gap-3">
+      <span className="flex-1 text-sm text-gray-700">{label}</span>
+      <input
+        type="number"
+        min="0"
+        step="any"
+        value={form[group][id] ?? ''}
+        onChange={e => handleLimitChange(group, id, e.target.value)}
+        className="w-32 p-2 border border-gray-300 rounded-lg shadow-sm text-right"
+        placeholder="Sin límite"
+      />
+      <span className="text-sm text-gray-500 w-10">{currency}</span>
+    </div>
+  );
+
+  return (
+    <div className="space-y-3">
+      <label htmlFor="budgetAmount" className="block text-sm font-medium text-gray-700">Presupuesto</label>
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          id="budgetAmount"
+          type="number"
+          min="0"
+          step="any"
+          value={form.amount}
+          onChange={e => handleChange('amount', e.target.value)}
+          className="w-40 p-3 border border-gray-300 rounded-lg shadow-sm"
+          placeholder="Sin presupuesto"
+        />
+        <select
+          value={currency}
+          onChange={e => handleChange('currency', e.target.value)}
+          className="p-3 border border-gray-300 rounded-lg shadow-sm bg-white"
+          aria-label="Moneda del presupuesto"
+        >
+          {withCurrentCurrency(currencies, form.currency).map(c => (
+            <option key={c.code} value={c.code}>{c.code}</option>
+          ))}
+        </select>
+        <span className="text-sm text-gray-600 ml-2">Avisar al</span>
+        <input
+          type="number"
+          min="1"
+          max="100"
+          value={form.warnAt}
+          onChange={e => handleChange('warnAt', e.target.value)}
+          className="w-20 p-3 border border-gray-300 rounded-lg shadow-sm text-right"
+          aria-label="Porcentaje de aviso"
+        />
+        <span className="text-sm text-gray-600">%</span>
+      </div>
+      <button type="button" onClick={() => setShowDetails(prev => !prev)} className="text-sm text-blue-600 hover:text-blue-800 font-medium">
+        {showDetails ? 'Ocultar límites por categoría y viajero' : '+ Límites por categoría y por viajero'}
+      </button>
+      {showDetails && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-6 p-4 bg-gray-50 rounded-lg border border-gray-200">
+          <div className="space-y-2">
+            <h4 className="text-sm font-semibold text-gray-700">Por categoría</h4>
+            {categories.map(c => renderLimitInput('categories', c.id, c.label))}
+          </div>
+          <div className="space-y-2">
+            <h4 className="text-sm font-semibold text-gray-700">Por viajero (su parte de los gastos)</h4>
+            {travelers.map(t => renderLimitInput('travelers', t.id, t.name))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Categorías personalizadas del viaje (las por defecto no se pueden quitar)
+function CategoriesSection({ trip, categories, transactions, onUpdateTrip }) {
+  const [newLabel, setNewLabel] = useState('');
+  const [error, setError] = useState('');
+
+  const customCategories = trip?.customCategories || [];
+  const usageCount = (categoryId) => transactions.filter(t => t.type === 'expense' && t.category === categoryId).length;
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const label = newLabel.trim();
+    if (!label) return;
+    if (categories.some(c => c.label.toLowerCase() === label.toLowerCase())) {
+      setError(`Ya existe la categoría "${label}".`);
+      return;
+    }
+    const id = `custom-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    onUpdateTrip({ customCategories: [...customCategories, { id, label }] });
+    setNewLabel('');
+    setError('');
+  };
+
+  const handleRemove = (category) => {
+    const count = usageCount(category.id);
+    const confirmRemove = window.confirm || (() => true); // Fallback simple para el entorno
+    if (count > 0 && !confirmRemove(`${count} gasto(s) usan "${category.label}" y pasarán a "Otros". ¿Continuar?`)) return;
+    onUpdateTrip({ customCategories: customCategories.filter(c => c.id !== category.id) });
+  };
+
+  return (
+    <div className="mt-10 pt-6 border-t border-gray-200 space-y-3">
+      <h3 className="text-lg font-semibold text-gray-800">Categorías de gasto</h3>
+      <div className="flex flex-wrap gap-2">
+        {categories.map(c => (
+          <span key={c.id} className="flex items-center gap-1 pl-3 pr-2 py-1 bg-gray-50 text-gray-700 border border-gray-200 rounded-full text-sm">
+            <CategoryIcon categoryId={c.id} className="w-4 h-4" /> {c.label}
+            {c.isCustom && (
+              <button
+                type="button"
+                onClick={() => handleRemove(c)}
+                className="text-gray-400 hover:text-red-600"
+                aria-label={`Quitar ${c.label}`}
+                title={`Quitar ${c.label}`}
+              >
+                <X className="w-4 h-4" />
+              </button>
+            )}
+          </span>
+        ))}
+      </div>
+      <form onSubmit={handleAdd} className="flex gap-2 max-w-md">
+        <input
+          type="text"
+          value={newLabel}
+          onChange={e => { setNewLabel(e.target.value); setError(''); }}
+          className="flex-1 p-3 border border-gray-300 rounded-lg shadow-sm"
+          placeholder="Nueva categoría (Compras, Regalos...)"
+        />
+        <button
+          type="submit"
+          disabled={!newLabel.trim()}
+          className="flex items-center gap-1 bg-green-600 text-white font-bold py-2 px-4 rounded-lg shadow-md hover:bg-green-700 transition duration-300 disabled:opacity-50"
+        >
+          <Plus className="w-5 h-5" /> Añadir
+        </button>
+      </form>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </div>
+  );
+}
+
+// Descarga el viaje completo como JSON y permite restaurar una copia sobre él
+function BackupSection({ trip, travelers, transactions, recurring, onRestoreBackup }) {
+  const handleDownload = () => {
+    const backup = createTripBackup({ trip, travelers, transactions, recurring });
+    downloadFile(
+      getExportFileName(trip?.name, `copia-${new Date().toISOString().split('T')[0]}`, 'json'),
+      JSON.stringify(backup, null, 2),
+      'application/json'
+    );
+  };
+
+  return (
+    <div className="mt-10 pt-6 border-t border-gray-200 space-y-3">
+      <h3 className="text-lg font-semibold text-gray-800">Copia de seguridad</h3>
+      <p className="text-sm text-gray-600">
+        Guarda el viaje completo (viajeros, transacciones y gastos recurrentes) en un archivo JSON. Restaurar una copia aquí reemplaza todos los datos actuales del viaje.
+      </p>
+      <div className="flex flex-wrap gap-3">
+        <button
+          type="button"
+          onClick={handleDownload}
+          className="flex items-center gap-2 bg-white text-gray-700 font-semibold py-2 px-4 rounded-lg shadow border border-gray-300 hover:bg-gray-50 transition"
+        >
+          <Download className="w-4 h-4" /> Descargar copia
+        </button>
+        <RestoreBackupButton
+          label="Restaurar sobre este viaje"
+          confirmMessage="Se reemplazarán todos los viajeros, transacciones y gastos recurrentes de este viaje por los de la copia. ¿Continuar?"
+          onRestore={onRestoreBackup}
+        />
+      </div>
+    </div>
+  );
+}
+
+// Botón que abre un archivo de copia de seguridad, lo valida y lo entrega a `onRestore`
+function RestoreBackupButton({ label, confirmMessage, onRestore }) {
+  const inputRef = useRef(null);
+  const [error, setError] = useState('');
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Permite volver a elegir el mismo archivo
+    if (!file) return;
+    setError('');
+    try {
+      const backup = parseTripBackup(await file.text());
+      const confirmRestore = window.confirm || (() => true); // Fallback simple para el entorno
+      if (confirmMessage && !confirmRestore(confirmMessage)) return;
+      onRestore(backup);
+    } catch (restoreError) {
+      console.error("Copia de seguridad no válida:", restoreError);
+      setError(restoreError.message);
+    }
+  };
+
+  return (
+    <div>
+      <input ref={inputRef} type="file" accept=".json,application/json" onChange={handleFileChange} className="hidden" />
+      <button
+        type="button"
+        onClick={() => inputRef.current?.click()}
+        className="flex items-center gap-2 bg-white text-gray-700 font-semibold py-2 px-4 rounded-lg shadow border border-gray-300 hover:bg-gray-50 transition"
+      >
+        <ArchiveRestore className="w-4 h-4" /> {label}
+      </button>
+      {error && <p className="text-sm text-red-600 mt-1">{error}</p>}
+    </div>
+  );
+}
+
+// Código e enlace de invitación, miembros y vínculo del usuario con su viajero
+function ShareTripSection({ trip, travelers, userId, onLinkTraveler }) {
+  const [copied, setCopied] = useState(false);
+  if (!trip?.inviteCode) return null;
+
+  const inviteLink = getInviteLink(trip.inviteCode);
+  const linkedTravelerId = trip.memberTravelers?.[userId] || '';
+  // Viajeros ya vinculados a otro miembro
+  const takenTravelerIds = new Set(
+    Object.entries(trip.memberTravelers || {}).filter(([uid]) => uid !== userId).map(([, id]) => id)
+  );
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(inviteLink);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error("Error al copiar el enlace:", error);
+    }
+  };
+
+  return (
+    <div className="mb-8 p-4 bg-blue-50 border border-blue-200 rounded-xl space-y-4">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-800 flex items-center gap-2">
+          <Share2 className="w-5 h-5 text-blue-600" /> Compartir viaje
+        </h3>
+        <p className="text-sm text-gray-600">
+          {(trip.members || []).length} {(trip.members || []).length === 1 ? 'miembro' : 'miembros'}. Comparte el código o el enlace para que el resto del grupo registre sus gastos desde su dispositivo.
+        </p>
+      </div>
+      <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+        <span className="font-mono text-xl font-bold tracking-widest text-blue-800 bg-white px-3 py-1 rounded-lg border border-blue-200">{trip.inviteCode}</span>
+        <input type="text" readOnly value={inviteLink} className="flex-1 p-2 text-sm border border-gray-300 rounded-lg bg-white text-gray-600" />
+        <button
+          type="button"
+          onClick={handleCopy}
+          className="flex items-center justify-center gap-1 bg-blue-600 text-white font-bold py-2 px-4 rounded-lg shadow-md hover:bg-blue-700 transition duration-300"
+        >
+          {copied ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />} {copied ? 'Copiado' : 'Copiar enlace'}
+        </button>
+      </div>
+      <div>
+        <label htmlFor="linkedTraveler" className="block text-sm font-medium text-gray-700 mb-1">¿Quién eres tú?</label>
+        <select
+          id="linkedTraveler"
+          value={linkedTravelerId}
+          onChange={e => e.target.value && onLinkTraveler(e.target.value)}
+          className="w-full max-w-xs p-3 border border-gray-300 rounded-lg shadow-sm bg-white"
+        >
+          <option value="">Selecciona tu viajero...</option>
+          {travelers.map(t => (
+            <option key={t.id} value={t.id} disabled={takenTravelerIds.has(t.id)}>
+              {t.name}{takenTravelerIds.has(t.id) ? ' (otro miembro)' : ''}
+            </option>
+          ))}
+        </select>
+        {!linkedTravelerId && travelers.length > 0 && (
+          <p className="text-xs text-orange-700 mt-1">Vincúlate a un viajero para que tus gastos te tengan como pagador por defecto.</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// --- Componentes Nuevos (TripSelector, TripSetup, LoadingSpinner - sin cambios) ---
+
+// Formulario para unirse a un viaje compartido con un código de invitación
+function JoinTripForm({ onJoinTrip }) {
+  const [inviteCode, setInviteCode] = useState('');
+  const [isJoining, setIsJoining] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!inviteCode.trim()) return;
+    setIsJoining(true);
+    setError('');
+    const joined = await onJoinTrip(inviteCode);
+    setIsJoining(false);
+    if (!joined) {
+      setError('No se encontró ningún viaje con ese código.');
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="max-w-lg mx-auto">
+      <label htmlFor="inviteCode" className="block text-sm font-medium text-gray-700 mb-1 text-left">¿Te invitaron a un viaje?</label>
+      <div className="flex gap-2">
+        <input
+          id="inviteCode"
+          type="text"
+          placeholder="Código de invitación"
+          value={inviteCode}
+          onChange={(e) => setInviteCode(e.target.value.toUpperCase())}
+          className="flex-1 p-3 border border-gray-300 rounded-lg shadow-sm font-mono uppercase focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <button
+          type="submit"
+          disabled={isJoining || !inviteCode.trim()}
+          className="flex items-center justify-center gap-2 bg-gray-700 text-white font-bold py-3 px-6 rounded-lg shadow-md hover:bg-gray-800 transition duration-300 disabled:opacity-50"
+        >
+          {isJoining ? <Loader className="w-5 h-5 animate-spin" /> : <UserPlus className="w-5 h-5" />} Unirse
+        </button>
+      </div>
+      {error && <p className="text-sm text-red-600 mt-2 text-left">{error}</p>}
+    </form>
+  );
+}
+
+// Destino, fechas y portada del viaje (en la creación y en los ajustes)
+function TripDetailsFields({ details, onChange }) {
+  const handleChange = (field, value) => onChange({ ...details, [field]: value });
+  const error = validateTripDetails(details);
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label htmlFor="tripDestination" className="block text-sm font-medium text-gray-700 mb-1">Destino</label>
+        <input
+          id="tripDestination"
+          type="text"
+          value={details.destination}
+          onChange={e => handleChange('destination', e.target.value)}
+          className="w-full p-3 border border-gray-300 rounded-lg shadow-sm"
+          placeholder="Ej: Lisboa, Sudeste Asiático"
+        />
+      </div>
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <label htmlFor="tripStartDate" className="block text-sm font-medium text-gray-700 mb-1">Desde</label>
+          <input id="tripStartDate" type="date" value={details.startDate} onChange={e => handleChange('startDate', e.target.value)} className="w-full p-3 border border-gray-300 rounded-lg shadow-sm" />
+        </div>
+        <div>
+          <label htmlFor="tripEndDate" className="block text-sm font-medium text-gray-700 mb-1">Hasta</label>
+          <input id="tripEndDate" type="date" value={details.endDate} onChange={e => handleChange('endDate', e.target.value)} className="w-full p-3 border border-gray-300 rounded-lg shadow-sm" />
+        </div>
+      </div>
+      {error && <p className="text-red-500 text-sm">{error}</p>}
+      <div>
+        <span className="block text-sm font-medium text-gray-700 mb-2">Portada</span>
+        <div className="flex flex-wrap gap-2 mb-3">
+          {TRIP_COVER_EMOJIS.map(emoji => (
+            <button
+              key={emoji}
+              type="button"
+              onClick={() => handleChange('coverEmoji', details.coverEmoji === emoji ? '' : emoji)}
+              className={`w-10 h-10 text-xl rounded-lg border transition ${details.coverEmoji === emoji ? 'border-blue-600 bg-blue-50' : 'border-gray-300 bg-white hover:bg-gray-50'}`}
+              aria-label={`Emoji ${emoji}`}
+            >
+              {emoji}
+            </button>
+          ))}
+        </div>
+        <div className="flex flex-wrap gap-2">
+          {Object.entries(TRIP_COVER_COLORS).map(([color, className]) => (
+            <button
+              key={color}
+              type="button"
+              onClick={() => handleChange('coverColor', color)}
+              className={`w-8 h-8 rounded-full ${className} ${details.coverColor === color ? 'ring-2 ring-offset-2 ring-gray-800' : ''}`}
+              aria-label={`Color ${color}`}
+            />
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function TripSetup({ onCreateTrip, onJoinTrip }) {
+  const [tripName, setTripName] = useState('');
+  const [details, setDetails] = useState(EMPTY_TRIP_DETAILS);
+  const [showDetails, setShowDetails] = useState(false);
+  const detailsError = validateTripDetails(details);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (detailsError) {
+      console.error("Datos del viaje inválidos:", detailsError);
+      return;
+    }
+    if (tripName.trim()) {
+      onCreateTrip(tripName.trim(), details);
+    }
+  };
+
+  return (
+    <div className="animate-fade-in text-center p-8">
+      <h2 className="text-2xl font-semibold text-gray-800 mb-6">Crear tu Primer Viaje</h2>
+      <p className="text-gray-600 mb-8">¡Bienvenido! Vamos a empezar dándole un nombre a tu viaje.</p>
+      <form onSubmit={handleSubmit} className="flex flex-col sm:flex-row gap-4 max-w-lg mx-auto">
+        <input
+          type="text"
+          placeholder="Ej: Viaje a la Costa, Eurotrip 2025"
+          value={tripName}
+          onChange={(e) => setTripName(e.target.value)}
+          required
+          className="flex-1 p-3 border border-gray-300 rounded-lg shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
         <button
           type="submit"
           className="flex items-center justify-center gap-2 bg-blue-600 text-white font-bold py-3 px-6 rounded-lg shadow-lg hover:bg-blue-700 transition duration-300 transform hover:-translate-y-0.5"
@@ -1134,38 +4345,215 @@ function TripSetup({ onCreateTrip }) {
           Crear Viaje <ArrowRight className="w-5 h-5" />
         </button>
       </form>
+      <div className="max-w-lg mx-auto mt-4 text-left">
+        {showDetails ? (
+          <TripDetailsFields details={details} onChange={setDetails} />
+        ) : (
+          <button type="button" onClick={() => setShowDetails(true)} className="text-sm text-blue-600 hover:text-blue-800 font-medium">
+            + Añadir destino, fechas y portada (opcional)
+          </button>
+        )}
+      </div>
+      {onJoinTrip && (
+        <div className="mt-10 pt-8 border-t border-gray-200">
+          <JoinTripForm onJoinTrip={onJoinTrip} />
+        </div>
+      )}
     </div>
   );
 }
 
-function TripSelector({ trips, onSelectTrip, onCreateTrip }) {
+function TripSelector({
+  trips, tripStats, onSelectTrip, onCreateTrip, onJoinTrip, onRestoreBackup,
+  onRenameTrip, onArchiveTrip, onDeleteTrip, onDuplicateTrip,
+}) {
+  const [showArchived, setShowArchived] = useState(false);
+  const activeTrips = trips.filter(t => !t.archived);
+  const archivedTrips = trips.filter(t => t.archived);
+
+  const renderTripCards = (list) => (
+    <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+      {list.map(trip => (
+        <TripCard
+          key={trip.id}
+          trip={trip}
+          stats={tripStats[trip.id]}
+          onSelect={() => onSelectTrip(trip.id)}
+          onRename={(name) => onRenameTrip(trip.id, name)}
+          onArchive={() => onArchiveTrip(trip.id, !trip.archived)}
+          onDelete={() => onDeleteTrip(trip)}
+          onDuplicate={() => onDuplicateTrip(trip)}
+        />
+      ))}
+    </div>
+  );
+
   return (
     <div className="animate-fade-in p-4 sm:p-6">
-      <div className="flex justify-between items-center mb-6">
+      <div className="flex flex-wrap justify-between items-start gap-3 mb-6">
         <h2 className="text-2xl font-semibold text-gray-800">Mis Viajes</h2>
-        <button
-          onClick={onCreateTrip}
-          className="flex items-center justify-center gap-2 bg-green-600 text-white font-bold py-2 px-4 rounded-lg shadow-md hover:bg-green-700 transition duration-300"
-        >
-          <Plus className="w-5 h-5" /> Nuevo Viaje
-        </button>
+        <div className="flex flex-wrap items-start gap-3">
+          <RestoreBackupButton label="Restaurar copia" onRestore={onRestoreBackup} />
+          <button
+            onClick={onCreateTrip}
+            className="flex items-center justify-center gap-2 bg-green-600 text-white font-bold py-2 px-4 rounded-lg shadow-md hover:bg-green-700 transition duration-300"
+          >
+            <Plus className="w-5 h-5" /> Nuevo Viaje
+          </button>
+        </div>
       </div>
-      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
-        {trips.map(trip => (
+      {activeTrips.length > 0 ? (
+        renderTripCards(activeTrips)
+      ) : (
+        <p className="text-gray-500 text-center py-8">No tienes viajes activos.</p>
+      )}
+      {archivedTrips.length > 0 && (
+        <div className="mt-8">
           <button
-            key={trip.id}
-            onClick={() => onSelectTrip(trip.id)}
-            className="p-6 bg-white rounded-xl shadow-lg border border-gray-200 text-left hover:shadow-xl hover:border-blue-500 transition-all duration-300 transform hover:-translate-y-1"
+            type="button"
+            onClick={() => setShowArchived(prev => !prev)}
+            className="flex items-center gap-2 text-gray-600 font-medium hover:text-gray-800 mb-4"
           >
-            <h3 className="text-xl font-bold text-gray-800">{trip.name}</h3>
-            <p className="text-sm text-gray-500 mt-2">Seleccionar este viaje</p>
+            <Archive className="w-5 h-5" /> {showArchived ? 'Ocultar' : 'Mostrar'} archivados ({archivedTrips.length})
           </button>
-        ))}
+          {showArchived && renderTripCards(archivedTrips)}
+        </div>
+      )}
+      {onJoinTrip && (
+        <div className="mt-8 pt-6 border-t border-gray-200">
+          <JoinTripForm onJoinTrip={onJoinTrip} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Tarjeta de un viaje con sus acciones; el nombre se edita en la propia tarjeta
+function TripCard({ trip, stats, onSelect, onRename, onArchive, onDelete, onDuplicate }) {
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [name, setName] = useState(trip.name);
+  const isShared = (trip.members || []).length > 1;
+
+  const handleRenameSubmit = (e) => {
+    e.preventDefault();
+    const newName = name.trim();
+    if (!newName) {
+      console.error("El nombre del viaje no puede estar vacío.");
+      return;
+    }
+    if (newName !== trip.name) onRename(newName);
+    setIsRenaming(false);
+  };
+
+  const handleDeleteClick = () => {
+    const confirmDelete = window.confirm || (() => true); // Fallback simple para el entorno
+    const message = isShared
+      ? `¿Eliminar "${trip.name}" con todos sus viajeros y transacciones? Se eliminará también para los demás miembros.`
+      : `¿Eliminar "${trip.name}" con todos sus viajeros y transacciones?`;
+    if (confirmDelete(message)) onDelete();
+  };
+
+  const actionClass = 'p-1 text-gray-400 hover:text-blue-600 transition';
+
+  return (
+    <div className={`flex flex-col bg-white rounded-xl shadow-lg border border-gray-200 hover:shadow-xl hover:border-blue-500 transition-all duration-300 ${trip.archived ? 'opacity-75' : ''}`}>
+      {isRenaming ? (
+        <form onSubmit={handleRenameSubmit} className="p-6 pb-2 space-y-2">
+          <input
+            type="text"
+            value={name}
+            onChange={e => setName(e.target.value)}
+            autoFocus
+            className="w-full p-2 border border-gray-300 rounded-lg shadow-sm"
+            aria-label="Nombre del viaje"
+          />
+          <div className="flex gap-2">
+            <button type="submit" className="text-sm bg-blue-600 text-white font-bold py-1 px-3 rounded-lg shadow hover:bg-blue-700 transition">
+              Guardar
+            </button>
+            <button type="button" onClick={() => { setName(trip.name); setIsRenaming(false); }} className="text-sm text-gray-500 hover:text-gray-700">
+              Cancelar
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button onClick={onSelect} className="flex-1 text-left">
+          <div className={`flex items-center gap-3 px-6 py-4 rounded-t-xl text-white ${TRIP_COVER_COLORS[trip.coverColor] || TRIP_COVER_COLORS.blue}`}>
+            <span className="text-3xl" aria-hidden="true">{trip.coverEmoji || '🧳'}</span>
+            <div className="min-w-0">
+              <h3 className="text-xl font-bold truncate">{trip.name}</h3>
+              {(trip.destination || trip.startDate || trip.endDate) && (
+                <p className="text-sm text-white/80 truncate">
+                  {[trip.destination, formatDateRange(trip.startDate, trip.endDate)].filter(Boolean).join(' · ')}
+                </p>
+              )}
+            </div>
+          </div>
+          <div className="px-6 pt-3 pb-2 space-y-1 text-sm text-gray-600">
+            {stats ? (
+              <>
+                <p>
+                  {stats.travelerCount} viajeros · {stats.transactionCount} transacciones
+                  {isShared && ` · Compartido con ${trip.members.length} miembros`}
+                </p>
+                {stats.totalsByCurrency.length > 0 && (
+                  <p className="font-semibold text-gray-800">
+                    {stats.totalsByCurrency.map(t => formatNumber(t.amount, t.currency)).join(' + ')}
+                  </p>
+                )}
+                {stats.firstDate && (
+                  <p className="text-xs text-gray-500">Transacciones: {formatDateRange(stats.firstDate, stats.lastDate)}</p>
+                )}
+                {stats.transactionCount > 0 && (
+                  <span className={`inline-block mt-1 px-2 py-0.5 rounded-full text-xs font-medium ${stats.isSettled ? 'bg-green-100 text-green-700' : 'bg-yellow-100 text-yellow-800'}`}>
+                    {stats.isSettled ? 'Cuentas saldadas' : 'Pendiente de saldar'}
+                  </span>
+                )}
+              </>
+            ) : (
+              <p className="text-gray-400">{isShared ? `Compartido · ${trip.members.length} miembros` : 'Cargando resumen...'}</p>
+            )}
+            {(trip.budget?.amount > 0 || trip.baseCurrency) && (
+              <p className="text-xs text-gray-500">
+                {[
+                  trip.budget?.amount > 0 && `Presupuesto: ${formatNumber(trip.budget.amount, trip.budget.currency)}`,
+                  trip.baseCurrency && `Moneda base: ${trip.baseCurrency}`,
+                ].filter(Boolean).join(' · ')}
+              </p>
+            )}
+          </div>
+        </button>
+      )}
+      <div className="flex justify-end gap-2 px-4 pb-3">
+        <button type="button" onClick={() => { setName(trip.name); setIsRenaming(true); }} className={actionClass} aria-label="Renombrar viaje" title="Renombrar">
+          <Edit className="w-4 h-4" />
+        </button>
+        <button type="button" onClick={onDuplicate} className={actionClass} aria-label="Duplicar viaje" title="Duplicar con los mismos viajeros">
+          <Copy className="w-4 h-4" />
+        </button>
+        <button type="button" onClick={onArchive} className={actionClass} aria-label={trip.archived ? 'Desarchivar viaje' : 'Archivar viaje'} title={trip.archived ? 'Desarchivar' : 'Archivar'}>
+          {trip.archived ? <ArchiveRestore className="w-4 h-4" /> : <Archive className="w-4 h-4" />}
+        </button>
+        <button type="button" onClick={handleDeleteClick} className="p-1 text-gray-400 hover:text-red-600 transition" aria-label="Eliminar viaje" title="Eliminar">
+          <Trash2 className="w-4 h-4" />
+        </button>
       </div>
     </div>
   );
 }
 
+// Aviso flotante con un botón para deshacer la última acción
+function UndoToast({ message, onUndo }) {
+  return (
+    <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-50 flex items-center gap-4 bg-gray-800 text-white py-3 px-5 rounded-lg shadow-2xl animate-fade-in print:hidden">
+      <span className="text-sm">{message}</span>
+      <button type="button" onClick={onUndo} className="text-sm font-bold text-yellow-300 hover:text-yellow-200">
+        Deshacer
+      </button>
+    </div>
+  );
+}
+
 function LoadingSpinner() {
   return (
     <div className="flex justify-center items-center py-20">